@@ -0,0 +1,86 @@
+/**
+ * /access Command
+ *
+ * Admin tools for course access roles, including the one-off migration from
+ * per-member channel overwrites to role membership
+ */
+
+const { SlashCommandBuilder, ChannelType } = require('discord.js');
+const { listInviteMappings } = require('../utils/inviteMap');
+const { courseRoleName, migrateChannelOverwrites } = require('../utils/courseAccess');
+const { logger } = require('../utils/logger');
+
+const data = new SlashCommandBuilder()
+  .setName('access')
+  .setDescription('Manage course access roles')
+  .setDMPermission(false)
+  .addSubcommand(subcommand => subcommand
+    .setName('migrate')
+    .setDescription('Replace per-member overwrites on a course channel with the course access role')
+    .addChannelOption(option => option
+      .setName('channel')
+      .setDescription('Course channel to migrate')
+      .setRequired(true)
+      .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum))
+    .addStringOption(option => option
+      .setName('course')
+      .setDescription('Course name (default: the course mapped to this channel, or the channel name)')
+      .setMaxLength(100))
+    .addBooleanOption(option => option
+      .setName('dry_run')
+      .setDescription('Only count the overwrites that would be migrated')));
+
+/**
+ * Find the course a channel belongs to from the invite map
+ *
+ * @param {GuildChannel} channel - Course channel
+ * @returns {string} Course name, or the channel name if no invite maps to it
+ */
+function courseForChannel(channel) {
+  const mapping = listInviteMappings()
+    .find(candidate => candidate.channels.some(ref => ref === channel.id || ref.replace(/^#/, '') === channel.name));
+  return mapping ? mapping.name : channel.name;
+}
+
+async function migrate(interaction) {
+  const channel = interaction.options.getChannel('channel', true);
+  const course = (interaction.options.getString('course') || courseForChannel(channel)).trim();
+  const dryRun = interaction.options.getBoolean('dry_run') || false;
+
+  // Large cohorts take longer than the 3 second reply window
+  await interaction.deferReply({ ephemeral: true });
+
+  const summary = await migrateChannelOverwrites(channel, course, { dryRun });
+  const roleName = courseRoleName(course);
+
+  if (dryRun) {
+    await interaction.editReply(`🔍 **Dry run for ${channel}**\n${summary.migrated} member overwrite(s) would move to the **${roleName}** role, and ${summary.missing} overwrite(s) for members who left would be removed. ${summary.skipped} overwrite(s) set by moderators, or for admins and bots, would be kept.`);
+    return;
+  }
+
+  logger.info(`🔁 Migrated #${channel.name} to "${roleName}"`, { guildId: interaction.guildId, moderator: interaction.user.tag, moderatorId: interaction.user.id, migrated: summary.migrated, removed: summary.missing, kept: summary.skipped, failed: summary.failed });
+
+  const lines = [
+    `✅ **Migrated ${channel} to ${summary.role}**`,
+    `**Moved to the role:** ${summary.migrated}`,
+    `**Removed (member left):** ${summary.missing}`,
+    `**Kept (moderator-set, admins and bots):** ${summary.skipped}`
+  ];
+  if (summary.failed > 0) {
+    lines.push(`**Failed:** ${summary.failed} (see the bot logs, then run the command again to retry)`);
+  }
+
+  await interaction.editReply({ content: lines.join('\n'), allowedMentions: { parse: [] } });
+}
+
+const subcommands = { migrate };
+
+/**
+ * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+ * @param {Object} context - Shared bot state
+ */
+async function execute(interaction, context) {
+  await subcommands[interaction.options.getSubcommand()](interaction, context);
+}
+
+module.exports = { data, execute };
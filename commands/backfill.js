@@ -0,0 +1,146 @@
+/**
+ * /backfill Command
+ *
+ * Admin tools for onboarding members who joined while the bot was offline
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const {
+  BACKFILL_WINDOW_HOURS,
+  getBackfill,
+  estimateRemaining,
+  startBackfill,
+  pauseBackfill,
+  resumeBackfill,
+  cancelBackfill
+} = require('../utils/backfill');
+const { logger } = require('../utils/logger');
+
+const data = new SlashCommandBuilder()
+  .setName('backfill')
+  .setDescription('Onboard members who joined while the bot was offline')
+  .setDMPermission(false)
+  .addSubcommand(subcommand => subcommand
+    .setName('start')
+    .setDescription('DM every member without the Learner role who joined inside the window')
+    .addIntegerOption(option => option
+      .setName('hours')
+      .setDescription(`Only members who joined in the last N hours (default ${BACKFILL_WINDOW_HOURS}, 0 = everyone)`)
+      .setMinValue(0)))
+  .addSubcommand(subcommand => subcommand
+    .setName('status')
+    .setDescription('Show the progress of the current backfill'))
+  .addSubcommand(subcommand => subcommand
+    .setName('pause')
+    .setDescription('Pause the backfill after the current member'))
+  .addSubcommand(subcommand => subcommand
+    .setName('resume')
+    .setDescription('Continue a paused backfill'))
+  .addSubcommand(subcommand => subcommand
+    .setName('cancel')
+    .setDescription('Stop the backfill for good'));
+
+/**
+ * Describe a backfill job's progress
+ *
+ * @param {Object} job - Backfill job
+ * @returns {string} Progress lines
+ */
+function describeJob(job) {
+  const lines = [
+    `**Status:** ${job.status}`,
+    `**Window:** ${job.windowHours > 0 ? `joined in the last ${job.windowHours}h` : 'all members'}`,
+    `**Progress:** ${job.total - job.queue.length}/${job.total} (${job.contacted} DM'd, ${job.skipped} skipped, ${job.failed} DMs closed)`,
+    `**Started:** <t:${Math.floor(job.startedAt / 1000)}:R> by ${job.startedBy}`
+  ];
+
+  if (job.status === 'running' && job.queue.length > 0) {
+    lines.push(`**Estimated finish:** <t:${Math.ceil((Date.now() + estimateRemaining(job)) / 1000)}:R>`);
+  } else if (job.finishedAt) {
+    lines.push(`**Finished:** <t:${Math.floor(job.finishedAt / 1000)}:R>`);
+  }
+
+  return lines.join('\n');
+}
+
+async function start(interaction, { sessions, client }) {
+  const hours = interaction.options.getInteger('hours');
+
+  // Fetching every member takes longer than the 3 second reply window
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    const job = await startBackfill(interaction.guild, sessions, client, {
+      windowHours: hours === null ? BACKFILL_WINDOW_HOURS : hours,
+      startedBy: interaction.user.tag
+    });
+
+    if (job.total === 0) {
+      await interaction.editReply('✅ Every member in that window already has the Learner role or a pending session.');
+      return;
+    }
+
+    await interaction.editReply(`📬 **Backfill started**\n${describeJob(job)}\n\nUse \`/backfill status\` to check progress.`);
+  } catch (error) {
+    await interaction.editReply(`❌ ${error.message}`);
+  }
+}
+
+async function status(interaction) {
+  const job = getBackfill(interaction.guildId);
+
+  if (!job) {
+    await interaction.reply({ content: 'ℹ️ No backfill has been run in this server.', ephemeral: true });
+    return;
+  }
+
+  await interaction.reply({ content: `📬 **Backfill**\n${describeJob(job)}`, ephemeral: true });
+}
+
+async function pause(interaction) {
+  const job = pauseBackfill(interaction.guildId);
+
+  if (!job) {
+    await interaction.reply({ content: 'ℹ️ No backfill is running.', ephemeral: true });
+    return;
+  }
+
+  logger.info('⏸️  Backfill paused', { guildId: interaction.guildId, moderator: interaction.user.tag, moderatorId: interaction.user.id, remaining: job.queue.length });
+  await interaction.reply({ content: `⏸️ Backfill paused with ${job.queue.length} member(s) left. Use \`/backfill resume\` to continue.`, ephemeral: true });
+}
+
+async function resume(interaction, { sessions, client }) {
+  const job = resumeBackfill(interaction.guild, sessions, client);
+
+  if (!job) {
+    await interaction.reply({ content: 'ℹ️ No backfill is paused.', ephemeral: true });
+    return;
+  }
+
+  logger.info('▶️  Backfill resumed', { guildId: interaction.guildId, moderator: interaction.user.tag, moderatorId: interaction.user.id, remaining: job.queue.length });
+  await interaction.reply({ content: `▶️ Backfill resumed with ${job.queue.length} member(s) left.`, ephemeral: true });
+}
+
+async function cancel(interaction) {
+  const job = cancelBackfill(interaction.guildId);
+
+  if (!job) {
+    await interaction.reply({ content: 'ℹ️ No backfill is running or paused.', ephemeral: true });
+    return;
+  }
+
+  logger.info('🛑 Backfill cancelled', { guildId: interaction.guildId, moderator: interaction.user.tag, moderatorId: interaction.user.id, notContacted: job.queue.length });
+  await interaction.reply({ content: `🛑 Backfill cancelled. ${job.queue.length} member(s) were not contacted.`, ephemeral: true });
+}
+
+const subcommands = { start, status, pause, resume, cancel };
+
+/**
+ * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+ * @param {Object} context - Shared bot state
+ */
+async function execute(interaction, context) {
+  await subcommands[interaction.options.getSubcommand()](interaction, context);
+}
+
+module.exports = { data, execute };
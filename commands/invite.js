@@ -0,0 +1,186 @@
+/**
+ * /invite Command
+ *
+ * Admin tools for creating, listing and revoking per-course invite links.
+ * Invites created here are added to the invite map so joins are attributed
+ * to their course.
+ */
+
+const { SlashCommandBuilder, ChannelType, Collection } = require('discord.js');
+const { getInviteMapping, listInviteMappings, setInviteMapping, removeInviteMapping } = require('../utils/inviteMap');
+const { trackInviteCreate } = require('../utils/inviteTracker');
+const { logger } = require('../utils/logger');
+
+// Keep list replies under Discord's 2000 character message limit
+const MAX_LIST_ENTRIES = 25;
+
+// Discord's "Unknown Invite" API error
+const UNKNOWN_INVITE = 10006;
+
+const data = new SlashCommandBuilder()
+  .setName('invite')
+  .setDescription('Create and manage tracked course invite links')
+  .setDMPermission(false)
+  .addSubcommand(subcommand => subcommand
+    .setName('create')
+    .setDescription('Create an invite link for a course')
+    .addStringOption(option => option
+      .setName('course')
+      .setDescription('Course name written to the records')
+      .setRequired(true)
+      .setMaxLength(100))
+    .addIntegerOption(option => option
+      .setName('max_uses')
+      .setDescription('Maximum number of uses (0 or empty for unlimited)')
+      .setMinValue(0)
+      .setMaxValue(100))
+    .addIntegerOption(option => option
+      .setName('expires')
+      .setDescription('When the invite expires (default: never)')
+      .addChoices(
+        { name: '1 hour', value: 60 * 60 },
+        { name: '12 hours', value: 12 * 60 * 60 },
+        { name: '1 day', value: 24 * 60 * 60 },
+        { name: '7 days', value: 7 * 24 * 60 * 60 },
+        { name: 'Never', value: 0 }
+      ))
+    .addChannelOption(option => option
+      .setName('channel')
+      .setDescription('Channel the invite opens (default: this channel)')
+      .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+    .addRoleOption(option => option
+      .setName('role')
+      .setDescription('Role granted after onboarding, in addition to the Learner role'))
+    .addChannelOption(option => option
+      .setName('unlock')
+      .setDescription('Channel unlocked after onboarding (default: the invite channel)')
+      .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum, ChannelType.GuildCategory)))
+  .addSubcommand(subcommand => subcommand
+    .setName('list')
+    .setDescription('List invites with their course and number of uses'))
+  .addSubcommand(subcommand => subcommand
+    .setName('revoke')
+    .setDescription('Delete an invite link and its course mapping')
+    .addStringOption(option => option
+      .setName('code')
+      .setDescription('Invite code or URL')
+      .setRequired(true)));
+
+/**
+ * Extract the invite code from a code or an invite URL
+ *
+ * @param {string} input - Invite code or URL (e.g., "https://discord.gg/abc123")
+ * @returns {string} Invite code
+ */
+function parseInviteCode(input) {
+  return input.trim().replace(/^(https?:\/\/)?(www\.)?(discord\.gg|discord(app)?\.com\/invite)\//i, '').replace(/\/$/, '');
+}
+
+async function create(interaction) {
+  const course = interaction.options.getString('course', true).trim();
+  const maxUses = interaction.options.getInteger('max_uses') || 0;
+  const maxAge = interaction.options.getInteger('expires') || 0;
+  const channel = interaction.options.getChannel('channel') || interaction.channel;
+  const role = interaction.options.getRole('role');
+  const unlock = interaction.options.getChannel('unlock');
+
+  const invite = await channel.createInvite({
+    maxAge,
+    maxUses,
+    unique: true,
+    reason: `Course invite for ${course} (created by ${interaction.user.tag})`
+  });
+
+  // Cache the invite straight away so a join right after creation is detected
+  trackInviteCreate(invite);
+
+  setInviteMapping(invite.code, {
+    course,
+    roles: role ? [role.id] : [],
+    channels: unlock ? [unlock.id] : [],
+    guildId: interaction.guildId,
+    maxUses,
+    expiresAt: maxAge ? Date.now() + maxAge * 1000 : null,
+    createdBy: interaction.user.tag,
+    createdAt: Date.now()
+  });
+
+  logger.info(`🎟️  Created invite ${invite.code} for course "${course}"`, { guildId: interaction.guildId, moderator: interaction.user.tag, moderatorId: interaction.user.id });
+
+  const lines = [
+    `🎟️ **Invite created for ${course}**`,
+    invite.url,
+    `**Opens:** ${channel}`,
+    `**Uses:** ${maxUses ? `up to ${maxUses}` : 'unlimited'}`,
+    `**Expires:** ${maxAge ? `<t:${Math.floor(Date.now() / 1000) + maxAge}:R>` : 'never'}`,
+    `**Grants:** Learner role${role ? ` + ${role}` : ''}, access to ${unlock || channel}`
+  ];
+
+  await interaction.reply({ content: lines.join('\n'), ephemeral: true, allowedMentions: { parse: [] } });
+}
+
+async function list(interaction, { invites }) {
+  const guildInvites = invites.get(interaction.guildId) || new Collection();
+
+  // Mapped invites that are no longer in the cache have expired or been deleted
+  const staleMappings = listInviteMappings()
+    .filter(mapping => (!mapping.guildId || mapping.guildId === interaction.guildId) && !guildInvites.has(mapping.code));
+
+  if (guildInvites.size === 0 && staleMappings.length === 0) {
+    await interaction.reply({ content: 'ℹ️ This server has no invites.', ephemeral: true });
+    return;
+  }
+
+  const lines = guildInvites.map(({ uses, maxUses }, code) => {
+    const mapping = getInviteMapping(code);
+    const usage = maxUses ? `${uses}/${maxUses}` : uses;
+    return `• \`${code}\` — ${mapping ? `**${mapping.name}**` : '_not mapped to a course_'} — ${usage} use(s)`;
+  });
+  lines.push(...staleMappings.map(mapping => `• \`${mapping.code}\` — **${mapping.name}** — _expired or deleted_`));
+
+  const shown = lines.slice(0, MAX_LIST_ENTRIES);
+  if (lines.length > MAX_LIST_ENTRIES) {
+    shown.push(`_…and ${lines.length - MAX_LIST_ENTRIES} more_`);
+  }
+
+  await interaction.reply({ content: `🎟️ **${guildInvites.size} invite(s)**\n${shown.join('\n')}`, ephemeral: true });
+}
+
+async function revoke(interaction, { invites }) {
+  const code = parseInviteCode(interaction.options.getString('code', true));
+
+  let deleted = true;
+  try {
+    await interaction.guild.invites.delete(code, `Revoked by ${interaction.user.tag}`);
+  } catch (error) {
+    if (error.code !== UNKNOWN_INVITE) throw error;
+    deleted = false;
+  }
+
+  const guildInvites = invites.get(interaction.guildId);
+  if (guildInvites) {
+    guildInvites.delete(code);
+  }
+  const unmapped = removeInviteMapping(code);
+
+  if (!deleted && !unmapped) {
+    await interaction.reply({ content: `❌ No invite or course mapping found for \`${code}\`.`, ephemeral: true });
+    return;
+  }
+
+  logger.info(`🗑️  Revoked invite ${code}`, { guildId: interaction.guildId, moderator: interaction.user.tag, moderatorId: interaction.user.id, deleted, unmapped });
+  const note = deleted ? '' : ' (the invite had already expired or been deleted)';
+  await interaction.reply({ content: `🗑️ Revoked invite \`${code}\`${note}.`, ephemeral: true });
+}
+
+const subcommands = { create, list, revoke };
+
+/**
+ * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+ * @param {Object} context - Shared bot state
+ */
+async function execute(interaction, context) {
+  await subcommands[interaction.options.getSubcommand()](interaction, context);
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,234 @@
+/**
+ * /onboarding Command
+ *
+ * Admin tools for inspecting and managing onboarding sessions
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const {
+  handleOnboarding,
+  completeOnboarding,
+  isAwaitingCode,
+  isAwaitingCourse,
+  isAwaitingConfirmation,
+  QUESTIONS,
+  QUESTION_ORDER
+} = require('../utils/onboarding');
+const { getCourseName } = require('../utils/inviteMap');
+const { getSessionChannel, closeFallbackThread } = require('../utils/fallbackThread');
+const { EVENT_TYPES, emitOnboardingEvent } = require('../utils/onboardingEvents');
+const { forSession, forMember } = require('../utils/logger');
+
+// Keep list replies under Discord's 2000 character message limit
+const MAX_LIST_ENTRIES = 25;
+
+const data = new SlashCommandBuilder()
+  .setName('onboarding')
+  .setDescription('Inspect and manage member onboarding')
+  .setDMPermission(false)
+  .addSubcommand(subcommand => subcommand
+    .setName('status')
+    .setDescription('Show the onboarding progress of a member')
+    .addUserOption(option => option.setName('user').setDescription('Member to inspect').setRequired(true)))
+  .addSubcommand(subcommand => subcommand
+    .setName('restart')
+    .setDescription('Restart onboarding and re-send the welcome DM')
+    .addUserOption(option => option.setName('user').setDescription('Member to restart').setRequired(true)))
+  .addSubcommand(subcommand => subcommand
+    .setName('cancel')
+    .setDescription('Cancel a pending onboarding session')
+    .addUserOption(option => option.setName('user').setDescription('Member to cancel').setRequired(true)))
+  .addSubcommand(subcommand => subcommand
+    .setName('list')
+    .setDescription('List all pending onboarding sessions'))
+  .addSubcommand(subcommand => subcommand
+    .setName('approve')
+    .setDescription('Manually approve a member: save their record, assign the role and grant access')
+    .addUserOption(option => option.setName('user').setDescription('Member to approve').setRequired(true)));
+
+/**
+ * Format a duration as a short human-readable string (e.g., "2d 3h", "5m")
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+
+  if (days > 0) return `${days}d ${hours % 24}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+}
+
+/**
+ * Describe where a session is in the question flow
+ *
+ * @param {Object} session - Onboarding session
+ * @returns {string} Progress description
+ */
+function describeProgress(session) {
+  if (!session.started) {
+    return 'Waiting for Start button';
+  }
+  if (isAwaitingCode(session)) {
+    return 'Waiting for email verification code';
+  }
+  if (session.lockedUntil && Date.now() < session.lockedUntil) {
+    return `Locked out after failed verification (${formatDuration(session.lockedUntil - Date.now())} left)`;
+  }
+  if (isAwaitingConfirmation(session)) {
+    return 'Checking the answer summary before submitting';
+  }
+  if (session.currentStep >= QUESTION_ORDER.length) {
+    return session.failedVerifications ? `Verification failed ${session.failedVerifications} time(s)` : 'All questions answered';
+  }
+
+  const currentQuestion = QUESTIONS[QUESTION_ORDER[session.currentStep]];
+  return `Step ${session.currentStep + 1}/${QUESTION_ORDER.length} (${currentQuestion.label})`;
+}
+
+async function status(interaction, { sessions }) {
+  const user = interaction.options.getUser('user', true);
+  const session = sessions.get(user.id);
+
+  if (!session || session.guildId !== interaction.guildId) {
+    await interaction.reply({ content: `ℹ️ ${user} has no pending onboarding session.`, ephemeral: true });
+    return;
+  }
+
+  const fields = QUESTION_ORDER
+    .filter(key => key in session.data)
+    .map(key => `• **${QUESTIONS[key].column}:** ${session.data[key] || '_(skipped)_'}`);
+
+  const lines = [
+    `📋 **Onboarding status for ${user}**`,
+    `**Progress:** ${describeProgress(session)}`,
+    `**Course:** ${isAwaitingCourse(session) ? '_Invite not detected, waiting for the member to pick_' : getCourseName(session)}`,
+    `**Where:** ${session.threadId ? `<#${session.threadId}> (DMs closed)` : 'DM'}`,
+    `**Started:** ${formatDuration(Date.now() - session.startedAt)} ago`,
+    `**Collected fields:**`,
+    fields.length > 0 ? fields.join('\n') : '_None yet_'
+  ];
+
+  await interaction.reply({ content: lines.join('\n'), ephemeral: true });
+}
+
+async function restart(interaction, { sessions, client }) {
+  const user = interaction.options.getUser('user', true);
+  const member = await interaction.guild.members.fetch(user.id).catch(() => null);
+
+  if (!member) {
+    await interaction.reply({ content: `❌ ${user} is not a member of this server.`, ephemeral: true });
+    return;
+  }
+
+  // Sending the welcome message (and falling back to a thread) takes longer than the 3 second reply window
+  await interaction.deferReply({ ephemeral: true });
+
+  // Keep the course the member originally joined from
+  const previousSession = sessions.get(user.id);
+  const origin = previousSession && previousSession.guildId === interaction.guildId
+    ? { channelName: previousSession.channelName, channelId: previousSession.channelId, course: previousSession.course }
+    : { channelName: 'Unknown', channelId: null };
+
+  try {
+    sessions.delete(user.id);
+    if (previousSession) {
+      await closeFallbackThread(client, previousSession);
+    }
+    await handleOnboarding(member, origin, sessions, client);
+  } catch (error) {
+    forMember(member).error('❌ Onboarding restart failed', { moderator: interaction.user.tag, moderatorId: interaction.user.id, error });
+    await interaction.editReply(`❌ Restart failed: ${error.message}`);
+    return;
+  }
+
+  if (sessions.has(user.id)) {
+    forMember(member).info('🔁 Onboarding restarted by a moderator', { moderator: interaction.user.tag, moderatorId: interaction.user.id });
+    const { threadId } = sessions.get(user.id);
+    const where = threadId ? `in <#${threadId}> (their DMs are closed)` : 'by DM';
+    await interaction.editReply(`🔁 Restarted onboarding for ${user} and re-sent the welcome message ${where}.`);
+  } else {
+    await interaction.editReply(`❌ Could not DM ${user} or open a private onboarding thread for them.`);
+  }
+}
+
+async function cancel(interaction, { sessions, client }) {
+  const user = interaction.options.getUser('user', true);
+  const session = sessions.get(user.id);
+
+  // Sessions are keyed by user, so one started in another server must be left alone
+  if (!session || session.guildId !== interaction.guildId) {
+    await interaction.reply({ content: `ℹ️ ${user} has no pending onboarding session.`, ephemeral: true });
+    return;
+  }
+
+  sessions.delete(user.id);
+  await closeFallbackThread(client, session);
+  emitOnboardingEvent(EVENT_TYPES.ONBOARDING_CANCELLED, { session, outcome: `Cancelled by ${interaction.user.tag}` });
+
+  forSession(session).info('🛑 Onboarding cancelled by a moderator', { moderator: interaction.user.tag, moderatorId: interaction.user.id });
+  await interaction.reply({ content: `🛑 Cancelled onboarding for ${user}.`, ephemeral: true });
+}
+
+async function list(interaction, { sessions }) {
+  const pending = sessions
+    .filter(session => session.guildId === interaction.guildId)
+    .sort((a, b) => a.startedAt - b.startedAt);
+
+  if (pending.size === 0) {
+    await interaction.reply({ content: '✅ No pending onboarding sessions.', ephemeral: true });
+    return;
+  }
+
+  const lines = [...pending.values()]
+    .slice(0, MAX_LIST_ENTRIES)
+    .map(session => `• <@${session.userId}> — ${describeProgress(session)} — ${formatDuration(Date.now() - session.startedAt)} old`);
+
+  if (pending.size > MAX_LIST_ENTRIES) {
+    lines.push(`_…and ${pending.size - MAX_LIST_ENTRIES} more_`);
+  }
+
+  await interaction.reply({
+    content: `📋 **${pending.size} pending onboarding session(s)**\n${lines.join('\n')}`,
+    ephemeral: true,
+    allowedMentions: { parse: [] }
+  });
+}
+
+async function approve(interaction, { sessions, client }) {
+  const user = interaction.options.getUser('user', true);
+  const session = sessions.get(user.id);
+
+  if (!session || session.guildId !== interaction.guildId) {
+    await interaction.reply({ content: `ℹ️ ${user} has no pending onboarding session to approve.`, ephemeral: true });
+    return;
+  }
+
+  // Sheet write and role assignment can take longer than Discord's 3 second reply window
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    const channel = await getSessionChannel(client, session);
+    await completeOnboarding(channel, session, sessions, client);
+    forSession(session).info('✅ Onboarding approved by a moderator', { moderator: interaction.user.tag, moderatorId: interaction.user.id });
+    await interaction.editReply(`✅ Approved ${user}. Their record was saved and access was granted.`);
+  } catch (error) {
+    forSession(session).error('❌ Manual approval failed', { moderator: interaction.user.tag, moderatorId: interaction.user.id, error });
+    await interaction.editReply(`❌ Approval failed: ${error.message}`);
+  }
+}
+
+const subcommands = { status, restart, cancel, list, approve };
+
+/**
+ * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+ * @param {Object} context - Shared bot state
+ */
+async function execute(interaction, context) {
+  await subcommands[interaction.options.getSubcommand()](interaction, context);
+}
+
+module.exports = { data, execute };
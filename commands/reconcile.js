@@ -0,0 +1,90 @@
+/**
+ * /reconcile Command
+ *
+ * Admin tools for comparing Learner role holders against the paid learner roster
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { reconcileGuild } = require('../utils/reconciler');
+const { logger } = require('../utils/logger');
+
+// Keep list replies under Discord's 2000 character message limit
+const MAX_LIST_ENTRIES = 15;
+
+const data = new SlashCommandBuilder()
+  .setName('reconcile')
+  .setDescription('Check Learner role holders against the paid learner roster')
+  .setDMPermission(false)
+  .addSubcommand(subcommand => subcommand
+    .setName('report')
+    .setDescription('Dry run: show who would be warned or lose access, without changing anything'))
+  .addSubcommand(subcommand => subcommand
+    .setName('run')
+    .setDescription('Warn learners missing from the roster and revoke access once their grace period ends'));
+
+/**
+ * Format a reconciliation report for a reply
+ *
+ * @param {Object} report - Reconciliation report
+ * @param {boolean} dryRun - Whether nothing was changed
+ * @returns {string} Reply content
+ */
+function formatReport(report, dryRun) {
+  const sections = [
+    ['warned', dryRun ? 'Would be warned' : 'Warned (grace period started)'],
+    ['inGrace', 'In grace period'],
+    ['revoked', dryRun ? 'Would lose access' : 'Access revoked'],
+    ['restored', 'Back in the roster'],
+    ['seeded', dryRun ? 'Would be registered from their stored record' : 'Registered from their stored record'],
+    ['unregistered', 'No onboarding record (not checked; re-onboard or remove the Learner role)'],
+    ['failed', 'Failed (see the bot logs)']
+  ];
+
+  const lines = [
+    `🧾 **Roster reconciliation${dryRun ? ' (dry run)' : ''}**`,
+    `**In roster:** ${report.ok.length} · **Skipped (manual/staff):** ${report.manual.length}`
+  ];
+
+  for (const [key, label] of sections) {
+    const tags = report[key];
+    if (tags.length === 0) continue;
+
+    lines.push(`**${label}:** ${tags.length}`);
+    lines.push(...tags.slice(0, MAX_LIST_ENTRIES).map(tag => `• ${tag}`));
+    if (tags.length > MAX_LIST_ENTRIES) {
+      lines.push(`_…and ${tags.length - MAX_LIST_ENTRIES} more_`);
+    }
+  }
+
+  return lines.join('\n').slice(0, 2000);
+}
+
+async function reconcile(interaction, dryRun) {
+  // Fetching every member takes longer than the 3 second reply window
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    const report = await reconcileGuild(interaction.guild, { dryRun });
+    if (!dryRun) {
+      logger.info('🧾 Roster reconciliation run', { guildId: interaction.guildId, moderator: interaction.user.tag, moderatorId: interaction.user.id, warned: report.warned.length, revoked: report.revoked.length });
+    }
+    await interaction.editReply({ content: formatReport(report, dryRun), allowedMentions: { parse: [] } });
+  } catch (error) {
+    await interaction.editReply(`❌ ${error.message}`);
+  }
+}
+
+const subcommands = {
+  report: interaction => reconcile(interaction, true),
+  run: interaction => reconcile(interaction, false)
+};
+
+/**
+ * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+ * @param {Object} context - Shared bot state
+ */
+async function execute(interaction, context) {
+  await subcommands[interaction.options.getSubcommand()](interaction, context);
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,99 @@
+/**
+ * /records Command
+ *
+ * Admin tools for the onboarding record outbox: queue status, dead letters and replay
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { getOutbox, replayDeadLetters } = require('../utils/recordOutbox');
+const { logger } = require('../utils/logger');
+
+// Keep list replies under Discord's 2000 character message limit
+const MAX_LIST_ENTRIES = 15;
+
+const data = new SlashCommandBuilder()
+  .setName('records')
+  .setDescription('Inspect and replay onboarding record writes (Sheets, CSV, webhook)')
+  .setDMPermission(false)
+  .addSubcommand(subcommand => subcommand
+    .setName('status')
+    .setDescription('Show pending and failed record writes'))
+  .addSubcommand(subcommand => subcommand
+    .setName('deadletters')
+    .setDescription('List record writes that failed permanently'))
+  .addSubcommand(subcommand => subcommand
+    .setName('replay')
+    .setDescription('Retry failed record writes')
+    .addStringOption(option => option
+      .setName('id')
+      .setDescription('Dead letter ID (leave empty to replay all)')));
+
+/**
+ * Describe an outbox entry in one line
+ *
+ * @param {Object} entry - Outbox entry
+ * @returns {string} Summary line
+ */
+function describeEntry(entry) {
+  return `• \`${entry.id.slice(0, 8)}\` [${entry.sink}] ${entry.data.discordUsername} — ${entry.attempts} attempt(s) — ${entry.lastError || 'no error'}`;
+}
+
+async function status(interaction) {
+  const { pending, deadLetters } = getOutbox();
+  const lines = [
+    '📤 **Record outbox**',
+    `**Pending:** ${pending.length}`,
+    `**Dead letters:** ${deadLetters.length}`
+  ];
+
+  if (pending.length > 0) {
+    const nextAt = Math.min(...pending.map(entry => entry.nextAttemptAt));
+    lines.push(`**Next attempt:** <t:${Math.ceil(nextAt / 1000)}:R>`);
+    lines.push(...pending.slice(0, MAX_LIST_ENTRIES).map(describeEntry));
+  }
+
+  await interaction.reply({ content: lines.join('\n'), ephemeral: true });
+}
+
+async function deadletters(interaction) {
+  const { deadLetters } = getOutbox();
+
+  if (deadLetters.length === 0) {
+    await interaction.reply({ content: '✅ No dead letters.', ephemeral: true });
+    return;
+  }
+
+  const lines = deadLetters.slice(0, MAX_LIST_ENTRIES).map(describeEntry);
+  if (deadLetters.length > MAX_LIST_ENTRIES) {
+    lines.push(`_…and ${deadLetters.length - MAX_LIST_ENTRIES} more_`);
+  }
+
+  await interaction.reply({
+    content: `☠️ **${deadLetters.length} dead letter(s)**\n${lines.join('\n')}\n\nUse \`/records replay\` to retry.`,
+    ephemeral: true
+  });
+}
+
+async function replay(interaction) {
+  const id = interaction.options.getString('id');
+  const count = replayDeadLetters(id || undefined);
+
+  if (count === 0) {
+    await interaction.reply({ content: id ? `❌ No dead letter matches \`${id}\`.` : '✅ No dead letters to replay.', ephemeral: true });
+    return;
+  }
+
+  logger.info(`🔁 Replayed ${count} dead letter(s)`, { guildId: interaction.guildId, moderator: interaction.user.tag, moderatorId: interaction.user.id, id: id || undefined });
+  await interaction.reply({ content: `🔁 Requeued ${count} record write(s).`, ephemeral: true });
+}
+
+const subcommands = { status, deadletters, replay };
+
+/**
+ * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+ */
+async function execute(interaction) {
+  await subcommands[interaction.options.getSubcommand()](interaction);
+}
+
+module.exports = { data, execute };
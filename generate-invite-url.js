@@ -6,13 +6,17 @@
 
 require('dotenv').config();
 
-const CLIENT_ID = '1436626187890983113'; // Your bot client ID
+const CLIENT_ID = process.env.CLIENT_ID || '1436626187890983113'; // Your bot client ID
 
 // Required permissions (as integer)
 // Manage Roles (268435456) + Manage Channels (16) + View Channels (1024) + Send Messages (2048) + Read Message History (65536) + Manage Server/View Audit Log (8)
-const PERMISSIONS = 268512336; // All required permissions combined
+// + Create Instant Invite (1) and Manage Server (32) for the /invite command and invite tracking
+// + Manage Threads (17179869184), Create Private Threads (68719476736) and Send Messages in Threads (274877906944) for onboarding members with closed DMs
+// + Kick Members (2) for ONBOARDING_DEADLINE_ACTION=kick
+// + Embed Links (16384) for review and audit log embeds
+const PERMISSIONS = 361045781619; // All required permissions combined
 
-const inviteUrl = `https://discord.com/oauth2/authorize?client_id=${CLIENT_ID}&permissions=${PERMISSIONS}&scope=bot`;
+const inviteUrl = `https://discord.com/oauth2/authorize?client_id=${CLIENT_ID}&permissions=${PERMISSIONS}&scope=bot%20applications.commands`;
 
 console.log('\n🔗 Discord Bot Invite URL:\n');
 console.log(inviteUrl);
@@ -23,6 +27,6 @@ console.log('3. Select your Discord server');
 console.log('4. Authorize the bot with the required permissions');
 console.log('5. Make sure to enable these Gateway Intents in Discord Developer Portal:');
 console.log('   - SERVER MEMBERS INTENT (required!)');
-console.log('   - MESSAGE CONTENT INTENT (required!)');
+console.log('   - MESSAGE CONTENT INTENT (required unless onboarding runs in modal mode)');
 console.log('   - PRESENCE INTENT (optional)');
 console.log('\n✅ After adding the bot, it will start onboarding new members!\n');
@@ -16,15 +16,44 @@
  */
 
 require('dotenv').config();
-const { Client, GatewayIntentBits, Collection } = require('discord.js');
-const { appendToSheet } = require('./utils/sheets');
-const { handleOnboarding } = require('./utils/onboarding');
+const { Client, GatewayIntentBits, Partials } = require('discord.js');
+const { startOutbox } = require('./utils/recordOutbox');
+const { getConfiguredSinkNames } = require('./utils/sinks');
+const { handleOnboarding, resumeOnboarding, ONBOARDING_MODE } = require('./utils/onboarding');
+const { SessionStore } = require('./utils/sessionStore');
+const { registerCommands, handleCommand } = require('./utils/commands');
+const { watchRoster } = require('./utils/roster');
+const { startReconciler, handleMemberLeave } = require('./utils/reconciler');
+const { resumeBackfills } = require('./utils/backfill');
+const { touchSession, trackDeadline, startSessionScheduler } = require('./utils/sessionScheduler');
+const { getSessionChannel, cleanupFallbackThreads } = require('./utils/fallbackThread');
+const { EVENT_TYPES, emitOnboardingEvent } = require('./utils/onboardingEvents');
+const { startAuditLog } = require('./utils/auditLog');
+const { logger, forSession, forMember } = require('./utils/logger');
+const { startHealthServer } = require('./utils/healthServer');
+const { isOtpEnabled } = require('./utils/emailOtp');
+const { invites, cacheInvites, trackInviteCreate, trackInviteDelete, attributeJoin, getCourseChoices } = require('./utils/inviteTracker');
 
 // Validate required environment variables
-const requiredEnvVars = ['DISCORD_TOKEN', 'SPREADSHEET_ID', 'GOOGLE_APPLICATION_CREDENTIALS'];
+const requiredEnvVars = ['DISCORD_TOKEN'];
+if (getConfiguredSinkNames().includes('sheets')) {
+  requiredEnvVars.push('SPREADSHEET_ID');
+  if (!process.env.GOOGLE_CREDENTIALS) {
+    requiredEnvVars.push('GOOGLE_APPLICATION_CREDENTIALS');
+  }
+}
+if (isOtpEnabled()) {
+  requiredEnvVars.push('SMTP_HOST');
+}
+
+// How to go without a variable, where that's allowed
+const envVarHints = {
+  SMTP_HOST: 'Set EMAIL_OTP=off to onboard without email verification codes'
+};
+
 for (const envVar of requiredEnvVars) {
   if (!process.env[envVar]) {
-    console.error(`❌ Missing required environment variable: ${envVar}`);
+    logger.error(`❌ Missing required environment variable: ${envVar}`, { hint: envVarHints[envVar] });
     process.exit(1);
   }
 }
@@ -35,134 +64,209 @@ const client = new Client({
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMembers,
     GatewayIntentBits.GuildInvites,
+    GatewayIntentBits.GuildMessages, // Answers sent in private onboarding threads
     GatewayIntentBits.DirectMessages,
-    GatewayIntentBits.MessageContent,
+    // Typed answers need the privileged Message Content intent; modal mode collects them in a form instead
+    ...(ONBOARDING_MODE === 'modal' ? [] : [GatewayIntentBits.MessageContent]),
   ],
-  partials: ['CHANNEL']
+  // DM channels are not cached after a restart, so they arrive as partials;
+  // members who leave before being cached arrive as partial members
+  partials: [Partials.Channel, Partials.GuildMember]
 });
 
-// Store invite codes before member joins to track which invite was used
-const invites = new Collection();
+// Store active onboarding sessions (userId -> session data), persisted to disk
+const onboardingSessions = new SessionStore();
 
-// Store active onboarding sessions (userId -> session data)
-const onboardingSessions = new Collection();
+// Bot ready event
+client.once('ready', async () => {
+  logger.info('✅ Discord Onboarding Bot is online!', { user: client.user.tag, guilds: client.guilds.cache.size });
 
-/**
- * Fetch and cache all invites for a guild
- */
-async function cacheInvites(guild) {
-  try {
-    const fetchedInvites = await guild.invites.fetch();
-    invites.set(guild.id, new Collection(fetchedInvites.map(invite => [invite.code, invite.uses])));
-    console.log(`📋 Cached ${fetchedInvites.size} invites for guild: ${guild.name}`);
-  } catch (error) {
-    console.error(`❌ Error caching invites for ${guild.name}:`, error.message);
-  }
-}
+  // Post onboarding events to the audit channel
+  startAuditLog(client);
 
-/**
- * Detect which invite was used by comparing cached invite uses
- */
-async function detectUsedInvite(guild) {
-  try {
-    const newInvites = await guild.invites.fetch();
-    const oldInvites = invites.get(guild.id);
-
-    if (!oldInvites) {
-      return null;
-    }
+  // Load the paid learner roster and reload it when the file changes
+  await watchRoster();
 
-    // Find the invite with increased uses
-    const usedInvite = newInvites.find(inv => {
-      const oldUses = oldInvites.get(inv.code);
-      return oldUses !== undefined && inv.uses > oldUses;
-    });
+  // Set up record sinks (e.g., sheet headers) and resume writes queued before the last restart
+  await startOutbox();
 
-    // Update cache
-    invites.set(guild.id, new Collection(newInvites.map(invite => [invite.code, invite.uses])));
+  // Cache invites and register slash commands for all guilds
+  for (const guild of client.guilds.cache.values()) {
+    await cacheInvites(guild);
+    await registerCommands(guild);
+  }
 
-    return usedInvite;
-  } catch (error) {
-    console.error('❌ Error detecting used invite:', error.message);
-    return null;
+  // Restore sessions that were in progress before the last restart
+  const restoredCount = onboardingSessions.load();
+  logger.info(`💾 Restored ${restoredCount} onboarding session(s)`);
+  for (const session of onboardingSessions.values()) {
+    await resumeOnboarding(session, client);
   }
-}
 
-// Bot ready event
-client.once('ready', async () => {
-  console.log('✅ Discord Onboarding Bot is online!');
-  console.log(`🤖 Logged in as: ${client.user.tag}`);
-  console.log(`📊 Serving ${client.guilds.cache.size} server(s)`);
+  // Remove private onboarding threads whose cleanup was cut short by the restart
+  await cleanupFallbackThreads(client, onboardingSessions);
 
-  // Cache invites for all guilds
-  for (const guild of client.guilds.cache.values()) {
-    await cacheInvites(guild);
-  }
+  // Periodically revoke access for learners who dropped off the roster
+  startReconciler(client);
 
-  console.log('🚀 Bot is ready to onboard new members!\n');
+  // Onboard members who joined while the bot was offline
+  await resumeBackfills(client, onboardingSessions);
+
+  // Remind inactive members, expire stale sessions and post the daily digest
+  startSessionScheduler(client, onboardingSessions);
+
+  logger.info('🚀 Bot is ready to onboard new members!');
 });
 
 // When bot joins a new guild
 client.on('guildCreate', async (guild) => {
-  console.log(`✨ Joined new guild: ${guild.name}`);
+  logger.info(`✨ Joined new guild: ${guild.name}`, { guildId: guild.id });
   await cacheInvites(guild);
+  await registerCommands(guild);
 });
 
 // Update invite cache when invites are created or deleted
 client.on('inviteCreate', async (invite) => {
-  const guildInvites = invites.get(invite.guild.id) || new Collection();
-  guildInvites.set(invite.code, invite.uses);
-  invites.set(invite.guild.id, guildInvites);
-  console.log(`➕ New invite created: ${invite.code}`);
+  trackInviteCreate(invite);
+  logger.info(`➕ New invite created: ${invite.code}`, { guildId: invite.guild && invite.guild.id });
 });
 
 client.on('inviteDelete', async (invite) => {
-  const guildInvites = invites.get(invite.guild.id);
-  if (guildInvites) {
-    guildInvites.delete(invite.code);
-    console.log(`➖ Invite deleted: ${invite.code}`);
-  }
+  trackInviteDelete(invite);
+  logger.info(`➖ Invite deleted: ${invite.code}`, { guildId: invite.guild && invite.guild.id });
 });
 
 // Handle new member joins
 client.on('guildMemberAdd', async (member) => {
-  console.log(`\n👋 New member joined: ${member.user.tag} (${member.id})`);
+  const log = forMember(member);
+  log.info(`👋 New member joined: ${member.user.tag}`);
 
-  // Detect which invite was used
-  const usedInvite = await detectUsedInvite(member.guild);
+  // Detect which invite was used (joins are processed one at a time per guild)
+  const attribution = await attributeJoin(member.guild);
+  const usedInvite = attribution.invite;
   let channelName = 'Unknown';
   let channelId = null;
+  let course = null;
+  let courseChoices = [];
 
   if (usedInvite) {
-    console.log(`🔗 Used invite code: ${usedInvite.code}`);
+    log.info(`🔗 Used invite code: ${usedInvite.code}${usedInvite.vanity ? ' (vanity URL)' : ''}`, { confidence: attribution.confidence });
 
-    // Try to get channel name and ID from invite
-    if (usedInvite.channel) {
-      channelName = usedInvite.channel.name;
-      channelId = usedInvite.channel.id;
-      console.log(`📺 Channel: ${channelName} (${channelId})`);
+    channelName = usedInvite.channelName;
+    channelId = usedInvite.channelId;
+    if (channelId) {
+      log.info(`📺 Channel: ${channelName}`, { channelId });
     }
 
-    // If invite has an inviter, log it
-    if (usedInvite.inviter) {
-      console.log(`👤 Invited by: ${usedInvite.inviter.tag}`);
+    // Course mapped to this invite code
+    course = usedInvite.course;
+    if (course) {
+      log.info(`🎓 Course: ${course.name}`);
     }
   } else {
-    console.log('⚠️  Could not detect which invite was used');
+    // Let the member pick their course instead of leaving it unknown
+    courseChoices = getCourseChoices(member.guild.id, attribution.candidates);
+    log.warn(attribution.confidence === 'ambiguous'
+      ? `⚠️  Ambiguous invite: ${attribution.candidates.map(candidate => candidate.code).join(', ')} - asking the member to pick a course`
+      : `⚠️  Could not detect which invite was used${courseChoices.length > 0 ? ' - asking the member to pick a course' : ''}`);
   }
 
+  emitOnboardingEvent(EVENT_TYPES.MEMBER_JOINED, {
+    userId: member.id,
+    username: member.user.tag,
+    guildId: member.guild.id,
+    invite: usedInvite ? usedInvite.code : null,
+    course: course ? course.name : null,
+    outcome: usedInvite ? `Joined with invite ${usedInvite.code}` : 'Invite could not be detected',
+    details: { 'Invite confidence': attribution.confidence, Channel: channelId ? `<#${channelId}>` : null }
+  });
+
+  // The deadline counts from the join, even if the welcome message never arrives
+  trackDeadline(member);
+
   // Start onboarding process via DM
   try {
-    await handleOnboarding(member, channelName, channelId, onboardingSessions, client);
+    await handleOnboarding(member, { channelName, channelId, course, attribution: attribution.confidence, courseChoices }, onboardingSessions, client);
+  } catch (error) {
+    log.error(`❌ Error starting onboarding for ${member.user.tag}`, { error });
+  }
+});
+
+// Clean up when a member leaves: pending session, leftover overwrites, record status
+client.on('guildMemberRemove', async (member) => {
+  const log = forMember(member);
+  log.info(`🚶 Member left: ${member.user.tag}`);
+  emitOnboardingEvent(EVENT_TYPES.MEMBER_LEFT, {
+    session: onboardingSessions.get(member.id),
+    userId: member.id,
+    username: member.user.tag,
+    guildId: member.guild.id,
+    outcome: onboardingSessions.has(member.id) ? 'Left before finishing onboarding' : 'Left the server'
+  });
+
+  try {
+    await handleMemberLeave(member, onboardingSessions);
   } catch (error) {
-    console.error(`❌ Error starting onboarding for ${member.user.tag}:`, error.message);
+    log.error(`❌ Error offboarding ${member.user.tag}`, { error });
   }
 });
 
-// Handle button interactions
+// Handle slash commands and button interactions
 client.on('interactionCreate', async (interaction) => {
+  // Admin slash commands
+  if (interaction.isChatInputCommand()) {
+    await handleCommand(interaction, { client, sessions: onboardingSessions, invites });
+    return;
+  }
+
+  // Any onboarding interaction counts as activity for reminders and expiry
+  touchSession(onboardingSessions, interaction.user.id);
+
+  // Moderator reject / request-info forms from the review channel
+  if (interaction.isModalSubmit() && interaction.customId.startsWith('review_')) {
+    const { handleReviewModal } = require('./utils/reviewQueue');
+    await handleReviewModal(interaction, onboardingSessions, client);
+    return;
+  }
+
+  // Onboarding form and verification code form (modal mode)
+  if (interaction.isModalSubmit() && ['onboarding_form', 'otp_form'].includes(interaction.customId)) {
+    const { handleFormSubmit, handleCodeSubmit } = require('./utils/onboarding');
+    const session = onboardingSessions.get(interaction.user.id);
+
+    if (!session) {
+      await interaction.reply({ content: '❌ Session not found. Please try rejoining the server.', ephemeral: true });
+      return;
+    }
+
+    const handleSubmit = interaction.customId === 'onboarding_form' ? handleFormSubmit : handleCodeSubmit;
+    await handleSubmit(interaction, session, onboardingSessions, client);
+    return;
+  }
+
+  // Course picked from the menu when the invite could not be detected
+  if (interaction.isStringSelectMenu() && interaction.customId === 'course_select') {
+    const { handleCourseSelect } = require('./utils/onboarding');
+    const session = onboardingSessions.get(interaction.user.id);
+
+    if (!session) {
+      await interaction.reply({ content: '❌ Session not found. Please try rejoining the server.', ephemeral: true });
+      return;
+    }
+
+    await handleCourseSelect(interaction, session, onboardingSessions, client);
+    return;
+  }
+
   if (!interaction.isButton()) return;
 
+  // Moderator Approve / Reject / Request Info buttons in the review channel
+  if (/^review_(approve|reject|info):/.test(interaction.customId)) {
+    const { handleReviewButton } = require('./utils/reviewQueue');
+    await handleReviewButton(interaction, onboardingSessions, client);
+    return;
+  }
+
   // Handle Start Onboarding button
   if (interaction.customId === 'start_onboarding') {
     const session = onboardingSessions.get(interaction.user.id);
@@ -172,8 +276,17 @@ client.on('interactionCreate', async (interaction) => {
       return;
     }
 
+    // Modal mode: collect every answer in one form
+    if (ONBOARDING_MODE === 'modal') {
+      const { openOnboardingForm } = require('./utils/onboarding');
+      await openOnboardingForm(interaction, session, onboardingSessions);
+      forSession(session).info(`▶️  User ${interaction.user.tag} opened the onboarding form`);
+      return;
+    }
+
     // Mark session as started
     session.started = true;
+    onboardingSessions.save();
 
     // Acknowledge the button click
     await interaction.update({
@@ -182,23 +295,88 @@ client.on('interactionCreate', async (interaction) => {
     });
 
     // Send first question
-    const { QUESTIONS, QUESTION_ORDER } = require('./utils/onboarding');
+    const { QUESTIONS, QUESTION_ORDER, formatQuestion } = require('./utils/onboarding');
     const firstQuestion = QUESTIONS[QUESTION_ORDER[0]];
 
-    await interaction.followUp(firstQuestion.question);
-    console.log(`▶️  User ${interaction.user.tag} clicked Start Onboarding button`);
+    await interaction.followUp(formatQuestion(firstQuestion));
+    forSession(session).info(`▶️  User ${interaction.user.tag} clicked Start Onboarding button`);
+  }
+
+  // Handle Fix My Details / Enter Code buttons (modal mode)
+  if (['onboarding_form_open', 'otp_enter'].includes(interaction.customId)) {
+    const { openOnboardingForm, openCodeForm } = require('./utils/onboarding');
+    const session = onboardingSessions.get(interaction.user.id);
+
+    if (!session) {
+      await interaction.reply({ content: '❌ Session not found. Please try rejoining the server.', ephemeral: true });
+      return;
+    }
+
+    if (interaction.customId === 'otp_enter') {
+      await openCodeForm(interaction, session);
+    } else {
+      await openOnboardingForm(interaction, session, onboardingSessions);
+    }
+    return;
+  }
+
+  // Handle Resend Code button on the email verification prompt
+  if (interaction.customId === 'resend_otp') {
+    const { isAwaitingCode, resendVerificationCode } = require('./utils/onboarding');
+    const session = onboardingSessions.get(interaction.user.id);
+
+    if (!session || !isAwaitingCode(session)) {
+      await interaction.reply({ content: 'ℹ️ There is no pending verification code for you.', ephemeral: true });
+      return;
+    }
+
+    await interaction.deferUpdate();
+    const channel = await getSessionChannel(client, session);
+    await resendVerificationCode(channel, session, onboardingSessions);
+  }
+
+  // Handle Confirm / Edit buttons on the answer summary
+  if (interaction.customId === 'onboarding_confirm' || interaction.customId.startsWith('summary_edit:')) {
+    const { handleSummaryButton } = require('./utils/onboarding');
+    const session = onboardingSessions.get(interaction.user.id);
+
+    if (!session) {
+      await interaction.reply({ content: '❌ Session not found. Please try rejoining the server.', ephemeral: true });
+      return;
+    }
+
+    await handleSummaryButton(interaction, session, onboardingSessions, client);
+    return;
+  }
+
+  // Handle Try Again / Edit / Request Review buttons after a failed verification
+  if (['verification_retry', 'review_request'].includes(interaction.customId) || interaction.customId.startsWith('verification_edit:')) {
+    const { handleVerificationButton } = require('./utils/onboarding');
+    const session = onboardingSessions.get(interaction.user.id);
+
+    if (!session) {
+      await interaction.reply({ content: '❌ Session not found. Please try rejoining the server.', ephemeral: true });
+      return;
+    }
+
+    await handleVerificationButton(interaction, session, onboardingSessions, client);
   }
 });
 
-// Handle DM messages for onboarding responses
+// Handle onboarding responses sent by DM or in the member's private onboarding thread
 client.on('messageCreate', async (message) => {
-  // Ignore bot messages and guild messages
-  if (message.author.bot || message.guild) return;
+  // Ignore bot messages
+  if (message.author.bot) return;
 
   // Check if user has an active onboarding session
   const session = onboardingSessions.get(message.author.id);
   if (!session) return;
 
+  // Guild messages only count in the member's own onboarding thread
+  if (message.guild && message.channelId !== session.threadId) return;
+
+  touchSession(onboardingSessions, message.author.id);
+
   // Don't process messages if user hasn't clicked Start button yet
   if (!session.started) {
     return;
@@ -209,22 +387,25 @@ client.on('messageCreate', async (message) => {
   try {
     await handleResponse(message, session, onboardingSessions, client);
   } catch (error) {
-    console.error(`❌ Error handling onboarding response:`, error.message);
+    forSession(session).error('❌ Error handling onboarding response', { error });
     await message.channel.send('⚠️ An error occurred. Please try again or contact an administrator.').catch(() => {});
   }
 });
 
 // Error handling
 client.on('error', (error) => {
-  console.error('❌ Discord client error:', error);
+  logger.error('❌ Discord client error', { error });
 });
 
 process.on('unhandledRejection', (error) => {
-  console.error('❌ Unhandled promise rejection:', error);
+  logger.error('❌ Unhandled promise rejection', { error });
 });
 
+// Serve /healthz, /readyz and /metrics (up before login so the platform sees the process start)
+startHealthServer(client, onboardingSessions);
+
 // Login to Discord
 client.login(process.env.DISCORD_TOKEN).catch((error) => {
-  console.error('❌ Failed to login to Discord:', error.message);
+  logger.error('❌ Failed to login to Discord', { error });
   process.exit(1);
 });
@@ -0,0 +1,111 @@
+/**
+ * Audit Log Module
+ *
+ * Posts onboarding events to a moderator channel as embeds, so staff can see
+ * who joined with which invite, who couldn't be DM'd or verified, and which
+ * roles and channels were granted. Set AUDIT_CHANNEL (name or ID) to enable it.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { onboardingEvents } = require('./onboardingEvents');
+const { resolveChannel } = require('./inviteMap');
+const { maskDetails, redactText } = require('./redact');
+const { logger } = require('./logger');
+
+// Channel events are posted to in each guild (name or ID)
+const AUDIT_CHANNEL = process.env.AUDIT_CHANNEL;
+
+// Comma-separated event types to post (default: every event)
+const AUDIT_EVENTS = process.env.AUDIT_EVENTS
+  ? process.env.AUDIT_EVENTS.split(',').map(type => type.trim()).filter(Boolean)
+  : null;
+
+const COLORS = {
+  info: 0x3498db,
+  success: 0x2ecc71,
+  warning: 0xf1c40f,
+  error: 0xe74c3c
+};
+
+/**
+ * Build the embed for an onboarding event
+ * Email and phone details are masked
+ *
+ * @param {Object} event - Onboarding event
+ * @returns {EmbedBuilder} Audit embed
+ */
+function buildAuditEmbed(event) {
+  const fields = [];
+
+  if (event.userId) {
+    fields.push({ name: 'User', value: `<@${event.userId}>${event.username ? ` (${event.username})` : ''}`, inline: true });
+  }
+  fields.push(
+    { name: 'Invite', value: event.invite || '—', inline: true },
+    { name: 'Course', value: event.course || '—', inline: true }
+  );
+
+  for (const [name, value] of Object.entries(maskDetails(event.details))) {
+    if (value !== null && value !== undefined && value !== '') {
+      fields.push({ name, value: String(value).slice(0, 1024), inline: true });
+    }
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle(event.title)
+    .setColor(COLORS[event.level])
+    .addFields(fields)
+    .setFooter({ text: event.type })
+    .setTimestamp(event.at);
+
+  if (event.outcome) {
+    // Outcomes can carry error messages that quote an email or phone number
+    const outcome = redactText(event.outcome);
+    // Failures are bold so they stand out when scrolling the channel
+    embed.setDescription(event.level === 'error' ? `**${outcome}**` : outcome);
+  }
+  return embed;
+}
+
+/**
+ * Post an event to the guild's audit channel
+ *
+ * @param {Client} client - Discord client
+ * @param {Object} event - Onboarding event
+ */
+async function postAuditEvent(client, event) {
+  const guild = event.guildId && client.guilds.cache.get(event.guildId);
+  // Events about a missing guild go to every guild that has an audit channel
+  const guilds = guild ? [guild] : [...client.guilds.cache.values()];
+
+  for (const target of guilds) {
+    const channel = resolveChannel(target, AUDIT_CHANNEL);
+    if (!channel || !channel.isTextBased()) continue;
+
+    try {
+      await channel.send({ embeds: [buildAuditEmbed(event)], allowedMentions: { parse: [] } });
+    } catch (error) {
+      logger.error(`❌ Failed to post ${event.type} to the audit channel in ${target.name}`, { guildId: target.id, error });
+    }
+  }
+}
+
+/**
+ * Start posting onboarding events to the audit channel
+ *
+ * @param {Client} client - Discord client
+ */
+function startAuditLog(client) {
+  if (!AUDIT_CHANNEL) {
+    logger.info('📒 Audit log channel disabled (set AUDIT_CHANNEL to enable)');
+    return;
+  }
+
+  onboardingEvents.on('event', (event) => {
+    if (AUDIT_EVENTS && !AUDIT_EVENTS.includes(event.type)) return;
+    postAuditEvent(client, event);
+  });
+  logger.info(`📒 Posting onboarding events to #${AUDIT_CHANNEL}${AUDIT_EVENTS ? ` (${AUDIT_EVENTS.join(', ')})` : ''}`);
+}
+
+module.exports = { startAuditLog };
@@ -0,0 +1,353 @@
+/**
+ * Backfill Module
+ *
+ * Starts onboarding for members who joined while the bot was offline (or
+ * before it was added). Members are DM'd one at a time at a limited rate, and
+ * progress is saved after each one so a backfill resumes after a restart.
+ * Members the bot has already welcomed are remembered and never DM'd again,
+ * even if they cancelled, were rejected or let their session expire.
+ */
+
+const { dataPath, readJsonFile, writeJsonFile } = require('./storage');
+const { handleOnboarding } = require('./onboarding');
+const { getCourseChoices } = require('./inviteTracker');
+const { getLearner } = require('./learnerRegistry');
+const { isAdmin } = require('./permissions');
+const { EVENT_TYPES, onboardingEvents } = require('./onboardingEvents');
+const { logger, forMember } = require('./logger');
+
+const BACKFILL_PATH = dataPath('backfill.json');
+const CONTACTED_PATH = dataPath('backfillContacted.json');
+
+// Only members who joined within this many hours are backfilled (0 = everyone)
+const BACKFILL_WINDOW_HOURS = Number(process.env.BACKFILL_WINDOW_HOURS || 24);
+
+// Discord flags bots that open many DMs quickly, so keep this low
+const BACKFILL_DMS_PER_MINUTE = Number(process.env.BACKFILL_DMS_PER_MINUTE || 10);
+const DM_INTERVAL_MS = Math.ceil(60000 / Math.max(BACKFILL_DMS_PER_MINUTE, 1));
+
+// Log progress every this many members
+const PROGRESS_EVERY = 10;
+
+// guildId -> backfill job
+let jobs = null;
+
+// guildId -> { userId: when the welcome message was sent }
+let contacted = null;
+
+// Guild IDs with a running processing loop
+const running = new Set();
+
+/**
+ * Load saved backfill jobs on first use
+ *
+ * @returns {Object} Jobs by guild ID
+ */
+function getJobs() {
+  if (!jobs) {
+    try {
+      jobs = readJsonFile(BACKFILL_PATH, {});
+    } catch (error) {
+      logger.error(`❌ Error loading backfill state from ${BACKFILL_PATH}`, { error });
+      jobs = {};
+    }
+  }
+  return jobs;
+}
+
+function save() {
+  try {
+    writeJsonFile(BACKFILL_PATH, getJobs());
+  } catch (error) {
+    logger.error(`❌ Error saving backfill state to ${BACKFILL_PATH}`, { error });
+  }
+}
+
+/**
+ * Load the members already welcomed on first use
+ *
+ * @returns {Object} Welcome times by guild ID and user ID
+ */
+function getContacted() {
+  if (!contacted) {
+    try {
+      contacted = readJsonFile(CONTACTED_PATH, {});
+    } catch (error) {
+      logger.error(`❌ Error loading contacted members from ${CONTACTED_PATH}`, { error });
+      contacted = {};
+    }
+  }
+  return contacted;
+}
+
+// Remember everyone who is sent a welcome message, whether by a backfill or on join
+onboardingEvents.on('event', (event) => {
+  if (event.type !== EVENT_TYPES.ONBOARDING_STARTED || !event.guildId) return;
+
+  const guildContacted = getContacted()[event.guildId] || (getContacted()[event.guildId] = {});
+  guildContacted[event.userId] = event.at;
+  try {
+    writeJsonFile(CONTACTED_PATH, getContacted());
+  } catch (error) {
+    logger.error(`❌ Error saving contacted members to ${CONTACTED_PATH}`, { error });
+  }
+});
+
+/**
+ * @param {GuildMember} member - Guild member
+ * @returns {boolean} True if the bot has sent the member a welcome message before
+ */
+function wasContacted(member) {
+  const guildContacted = getContacted()[member.guild.id];
+  return Boolean(guildContacted && guildContacted[member.id]);
+}
+
+/**
+ * Check whether a member still needs onboarding
+ *
+ * @param {GuildMember} member - Guild member
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {number} since - Earliest join timestamp to include (0 = any)
+ * @returns {boolean} True if the member should get a welcome DM
+ */
+function needsOnboarding(member, sessions, since) {
+  const learnerRoleName = process.env.LEARNER_ROLE_NAME || 'Learner';
+  const learner = getLearner(member.id);
+
+  return !member.user.bot
+    && member.joinedTimestamp >= since
+    && !member.roles.cache.some(role => role.name === learnerRoleName)
+    && !isAdmin(member)
+    && !sessions.has(member.id)
+    // Already welcomed: they finished, cancelled, were rejected or let the session expire
+    && !wasContacted(member)
+    // Offboarded learners are not invited back automatically
+    && !(learner && learner.guildId === member.guild.id && learner.status === 'revoked');
+}
+
+/**
+ * Find members who joined inside the window and were never onboarded
+ *
+ * @param {Guild} guild - Discord guild
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {number} windowHours - Join window in hours (0 = everyone)
+ * @param {number} [joinedAfter] - Only include members who joined after this time
+ * @returns {Promise<GuildMember[]>} Members to onboard, oldest join first
+ */
+async function findBackfillCandidates(guild, sessions, windowHours, joinedAfter = 0) {
+  const windowStart = windowHours > 0 ? Date.now() - windowHours * 60 * 60 * 1000 : 0;
+  const since = Math.max(windowStart, joinedAfter);
+  const members = await guild.members.fetch();
+
+  return [...members.filter(member => needsOnboarding(member, sessions, since)).values()]
+    .sort((a, b) => a.joinedTimestamp - b.joinedTimestamp);
+}
+
+/**
+ * @param {string} guildId - Guild ID
+ * @returns {Object|null} The guild's latest backfill job
+ */
+function getBackfill(guildId) {
+  return getJobs()[guildId] || null;
+}
+
+/**
+ * Estimated time left for a job in milliseconds
+ *
+ * @param {Object} job - Backfill job
+ * @returns {number} Milliseconds
+ */
+function estimateRemaining(job) {
+  return job.queue.length * DM_INTERVAL_MS;
+}
+
+/**
+ * DM queued members one at a time until the job is done or paused
+ *
+ * @param {Guild} guild - Discord guild
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {Client} client - Discord client
+ */
+async function processBackfill(guild, sessions, client) {
+  if (running.has(guild.id)) return;
+  running.add(guild.id);
+
+  // Re-read the job each time so a backfill restarted mid-sleep is picked up
+  let job;
+
+  try {
+    while ((job = getBackfill(guild.id)) && job.status === 'running' && job.queue.length > 0) {
+      const userId = job.queue[0];
+      const member = await guild.members.fetch(userId).catch(() => null);
+
+      // Left, onboarded or already DM'd since the backfill started
+      if (!member || !needsOnboarding(member, sessions, 0)) {
+        job.skipped++;
+      } else {
+        await handleOnboarding(member, {
+          channelName: 'Unknown',
+          channelId: null,
+          attribution: 'none',
+          courseChoices: getCourseChoices(guild.id, [])
+        }, sessions, client).catch(error => forMember(member).error(`❌ Backfill failed for ${member.user.tag}`, { error }));
+
+        if (sessions.has(userId)) {
+          job.contacted++;
+        } else {
+          job.failed++;
+        }
+      }
+
+      job.queue.shift();
+      save();
+
+      const processed = job.total - job.queue.length;
+      if (processed % PROGRESS_EVERY === 0 || job.queue.length === 0) {
+        logger.info(`📬 Backfill for ${guild.name}: ${processed}/${job.total} processed (${job.contacted} DM'd, ${job.skipped} skipped, ${job.failed} failed)`);
+      }
+
+      if (member && job.queue.length > 0) {
+        await new Promise(resolve => setTimeout(resolve, DM_INTERVAL_MS));
+      }
+    }
+
+    if (job && job.status === 'running') {
+      job.status = 'done';
+      job.finishedAt = Date.now();
+      save();
+      logger.info(`✅ Backfill for ${guild.name} finished: ${job.contacted} DM'd, ${job.skipped} skipped, ${job.failed} failed`);
+    }
+  } catch (error) {
+    // The job stays "running" and picks up where it left off on the next start
+    logger.error(`❌ Backfill for ${guild.name} stopped`, { error });
+  } finally {
+    running.delete(guild.id);
+  }
+}
+
+/**
+ * Start a backfill for a guild and process it in the background
+ *
+ * @param {Guild} guild - Discord guild
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {Client} client - Discord client
+ * @param {Object} [options]
+ * @param {number} [options.windowHours] - Join window in hours (0 = everyone)
+ * @param {string} [options.startedBy] - Who started the backfill
+ * @param {number} [options.joinedAfter] - Only include members who joined after this time
+ * @returns {Promise<Object>} The new job
+ */
+async function startBackfill(guild, sessions, client, { windowHours = BACKFILL_WINDOW_HOURS, startedBy = 'startup', joinedAfter = 0 } = {}) {
+  const existing = getBackfill(guild.id);
+  if (existing && ['running', 'paused'].includes(existing.status)) {
+    throw new Error(`A backfill is already ${existing.status} (${existing.queue.length} member(s) left); resume or cancel it first`);
+  }
+
+  const candidates = await findBackfillCandidates(guild, sessions, windowHours, joinedAfter);
+  const job = {
+    guildId: guild.id,
+    windowHours,
+    startedBy,
+    startedAt: Date.now(),
+    finishedAt: null,
+    status: 'running',
+    total: candidates.length,
+    queue: candidates.map(member => member.id),
+    contacted: 0,
+    skipped: 0,
+    failed: 0
+  };
+
+  getJobs()[guild.id] = job;
+  save();
+  logger.info(`📬 Backfill started for ${guild.name} by ${startedBy}: ${job.total} member(s) to onboard`);
+
+  processBackfill(guild, sessions, client);
+  return job;
+}
+
+/**
+ * Pause a running backfill after the current member
+ *
+ * @param {string} guildId - Guild ID
+ * @returns {Object|null} The paused job, or null if none was running
+ */
+function pauseBackfill(guildId) {
+  const job = getBackfill(guildId);
+  if (!job || job.status !== 'running') return null;
+
+  job.status = 'paused';
+  save();
+  return job;
+}
+
+/**
+ * Continue a paused backfill
+ *
+ * @param {Guild} guild - Discord guild
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {Client} client - Discord client
+ * @returns {Object|null} The resumed job, or null if none was paused
+ */
+function resumeBackfill(guild, sessions, client) {
+  const job = getBackfill(guild.id);
+  if (!job || job.status !== 'paused') return null;
+
+  job.status = 'running';
+  save();
+  processBackfill(guild, sessions, client);
+  return job;
+}
+
+/**
+ * Stop a backfill for good
+ *
+ * @param {string} guildId - Guild ID
+ * @returns {Object|null} The cancelled job, or null if none was pending
+ */
+function cancelBackfill(guildId) {
+  const job = getBackfill(guildId);
+  if (!job || !['running', 'paused'].includes(job.status)) return null;
+
+  job.status = 'cancelled';
+  job.finishedAt = Date.now();
+  save();
+  return job;
+}
+
+/**
+ * On startup: continue backfills interrupted by the last restart and, when
+ * BACKFILL_ON_READY is set, start one for members who joined while the bot was offline.
+ * Members who joined before the previous backfill started were already considered then.
+ *
+ * @param {Client} client - Discord client
+ * @param {Collection} sessions - Active onboarding sessions
+ */
+async function resumeBackfills(client, sessions) {
+  for (const guild of client.guilds.cache.values()) {
+    const job = getBackfill(guild.id);
+
+    try {
+      if (job && job.status === 'running') {
+        logger.info(`📬 Resuming backfill for ${guild.name}: ${job.queue.length} member(s) left`);
+        processBackfill(guild, sessions, client);
+      } else if (process.env.BACKFILL_ON_READY === 'true' && !(job && job.status === 'paused')) {
+        await startBackfill(guild, sessions, client, { joinedAfter: job ? job.startedAt : 0 });
+      }
+    } catch (error) {
+      logger.error(`❌ Could not start backfill for ${guild.name}`, { error });
+    }
+  }
+}
+
+module.exports = {
+  DM_INTERVAL_MS,
+  BACKFILL_WINDOW_HOURS,
+  getBackfill,
+  estimateRemaining,
+  startBackfill,
+  pauseBackfill,
+  resumeBackfill,
+  cancelBackfill,
+  resumeBackfills
+};
@@ -0,0 +1,73 @@
+/**
+ * Slash Command Registry
+ *
+ * Registers the bot's guild slash commands and dispatches interactions to them.
+ * All commands are admin-only and restricted to the role named in ADMIN_ROLE_NAME.
+ */
+
+const { Collection } = require('discord.js');
+const { isAdmin } = require('./permissions');
+const { logger } = require('./logger');
+
+const commandModules = [
+  require('../commands/onboarding'),
+  require('../commands/records'),
+  require('../commands/invite'),
+  require('../commands/access'),
+  require('../commands/reconcile'),
+  require('../commands/backfill')
+];
+
+// Command name -> command module ({ data, execute })
+const commands = new Collection(commandModules.map(command => [command.data.name, command]));
+
+/**
+ * Register all slash commands in a guild
+ *
+ * @param {Guild} guild - Guild to register commands in
+ */
+async function registerCommands(guild) {
+  try {
+    await guild.commands.set(commands.map(command => command.data.toJSON()));
+    logger.info(`⚙️  Registered ${commands.size} slash command(s) in guild: ${guild.name}`, { guildId: guild.id });
+  } catch (error) {
+    logger.error(`❌ Error registering slash commands in ${guild.name}`, { guildId: guild.id, error });
+  }
+}
+
+/**
+ * Run the command for a chat input interaction
+ *
+ * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+ * @param {Object} context - Shared bot state passed to commands
+ * @param {Client} context.client - Discord client
+ * @param {Collection} context.sessions - Active onboarding sessions
+ * @param {Collection} context.invites - Cached invite uses per guild
+ */
+async function handleCommand(interaction, context) {
+  const command = commands.get(interaction.commandName);
+  if (!command) return;
+
+  if (!interaction.inGuild() || !isAdmin(interaction.member)) {
+    await interaction.reply({ content: '🚫 You do not have permission to use this command.', ephemeral: true });
+    return;
+  }
+
+  try {
+    await command.execute(interaction, context);
+  } catch (error) {
+    logger.error(`❌ Error running /${interaction.commandName}`, { guildId: interaction.guildId, moderator: interaction.user.tag, moderatorId: interaction.user.id, error });
+
+    const reply = { content: '❌ Something went wrong while running this command.', ephemeral: true };
+    if (interaction.replied || interaction.deferred) {
+      await interaction.followUp(reply).catch(() => {});
+    } else {
+      await interaction.reply(reply).catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  registerCommands,
+  handleCommand
+};
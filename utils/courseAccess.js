@@ -0,0 +1,156 @@
+/**
+ * Course Access Module
+ *
+ * Grants course channel access through one access role per course instead of
+ * a permission overwrite per learner. The role is created on first use and
+ * given view/send overwrites on each of the course's channels.
+ */
+
+const { OverwriteType, PermissionFlagsBits, PermissionsBitField } = require('discord.js');
+const { isAdmin } = require('./permissions');
+const { logger } = require('./logger');
+
+// Access roles are named "<prefix><course name>", e.g. "Course: Data Science - Batch 7"
+const COURSE_ROLE_PREFIX = process.env.COURSE_ROLE_PREFIX || 'Course: ';
+
+// What an access role (or a migrated learner) can do in a course channel
+const COURSE_CHANNEL_PERMISSIONS = {
+  ViewChannel: true,
+  SendMessages: true,
+  ReadMessageHistory: true
+};
+
+// The same permissions as a bitfield, for recognising overwrites the bot created
+const COURSE_CHANNEL_BITS = PermissionsBitField.resolve(
+  Object.keys(COURSE_CHANNEL_PERMISSIONS).map(name => PermissionFlagsBits[name])
+);
+
+/**
+ * Check whether a per-member overwrite is exactly the course access the bot grants
+ * Anything else (mutes, denies, extra staff permissions) was set by a moderator
+ *
+ * @param {PermissionOverwrites} overwrite - Channel permission overwrite
+ * @returns {boolean} True if the bot could have granted it
+ */
+function isCourseOverwrite(overwrite) {
+  return overwrite.type === OverwriteType.Member
+    && overwrite.allow.bitfield === COURSE_CHANNEL_BITS
+    && overwrite.deny.bitfield === 0n;
+}
+
+/**
+ * Name of the access role for a course (Discord caps role names at 100 characters)
+ *
+ * @param {string} courseName - Course name
+ * @returns {string} Role name
+ */
+function courseRoleName(courseName) {
+  return `${COURSE_ROLE_PREFIX}${courseName}`.slice(0, 100);
+}
+
+/**
+ * Find or create a course's access role and make sure it can see every course channel
+ *
+ * @param {Guild} guild - Discord guild
+ * @param {string} courseName - Course name
+ * @param {GuildChannel[]} channels - Course channels
+ * @returns {Promise<Role>} Access role
+ */
+async function ensureCourseRole(guild, courseName, channels) {
+  const roleName = courseRoleName(courseName);
+  let role = guild.roles.cache.find(existing => existing.name === roleName);
+
+  if (!role) {
+    role = await guild.roles.create({
+      name: roleName,
+      permissions: [],
+      mentionable: false,
+      reason: `Course access role for ${courseName}`
+    });
+    logger.info(`➕ Created access role "${roleName}"`, { guildId: guild.id });
+  }
+
+  for (const channel of channels) {
+    const overwrite = channel.permissionOverwrites.cache.get(role.id);
+    if (!overwrite || !overwrite.allow.has(PermissionFlagsBits.ViewChannel)) {
+      await channel.permissionOverwrites.edit(role, COURSE_CHANNEL_PERMISSIONS, { reason: `Course access for ${courseName}` });
+      logger.info(`🔓 Gave "${roleName}" access to #${channel.name}`, { guildId: guild.id });
+    }
+  }
+
+  return role;
+}
+
+/**
+ * Give a member access to a course's channels by adding its access role
+ *
+ * @param {Guild} guild - Discord guild
+ * @param {GuildMember} member - Member to grant access to
+ * @param {string} courseName - Course name
+ * @param {GuildChannel[]} channels - Course channels
+ * @returns {Promise<Role>} Access role
+ */
+async function grantCourseAccess(guild, member, courseName, channels) {
+  const role = await ensureCourseRole(guild, courseName, channels);
+  await member.roles.add(role);
+  return role;
+}
+
+/**
+ * Turn per-member course overwrites on a channel into membership of the course's access role
+ * Only overwrites identical to the access the bot grants are migrated. Others, such as
+ * staff with extra permissions or members with denies, are kept and counted as skipped,
+ * and bots and admins are left alone.
+ *
+ * @param {GuildChannel} channel - Course channel with per-member overwrites
+ * @param {string} courseName - Course the channel belongs to
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Count what would change without changing anything
+ * @returns {Promise<{ role: Role|null, migrated: number, missing: number, skipped: number, failed: number }>} Migration summary
+ */
+async function migrateChannelOverwrites(channel, courseName, { dryRun = false } = {}) {
+  const memberOverwrites = channel.permissionOverwrites.cache.filter(overwrite => overwrite.type === OverwriteType.Member);
+  const overwrites = memberOverwrites.filter(isCourseOverwrite);
+
+  const summary = { role: null, migrated: 0, missing: 0, skipped: memberOverwrites.size - overwrites.size, failed: 0 };
+  if (!dryRun) {
+    summary.role = await ensureCourseRole(channel.guild, courseName, [channel]);
+  }
+
+  for (const overwrite of overwrites.values()) {
+    const member = await channel.guild.members.fetch(overwrite.id).catch(() => null);
+
+    if (member && (member.user.bot || isAdmin(member))) {
+      summary.skipped++;
+      continue;
+    }
+
+    if (dryRun) {
+      summary[member ? 'migrated' : 'missing']++;
+      continue;
+    }
+
+    try {
+      if (member) {
+        await member.roles.add(summary.role, `Migrated from per-member overwrite on #${channel.name}`);
+        summary.migrated++;
+      } else {
+        // Member left the server - the overwrite is just clutter now
+        summary.missing++;
+      }
+      await overwrite.delete(`Migrated to the "${summary.role.name}" access role`);
+    } catch (error) {
+      summary.failed++;
+      logger.error(`❌ Failed to migrate overwrite for ${overwrite.id} on #${channel.name}`, { guildId: channel.guild.id, error });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  courseRoleName,
+  grantCourseAccess,
+  isCourseOverwrite,
+  migrateChannelOverwrites
+};
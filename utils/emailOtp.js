@@ -0,0 +1,155 @@
+/**
+ * Email One-Time Code Module
+ *
+ * Sends 6-digit verification codes over SMTP and checks them,
+ * so users must prove they own the email address they enter
+ */
+
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { logger, forSession } = require('./logger');
+
+// Code lifetime, attempt and resend limits
+const OTP_TTL_MS = Number(process.env.OTP_TTL_MINUTES || 10) * 60 * 1000;
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS || 5);
+const OTP_MAX_RESENDS = Number(process.env.OTP_MAX_RESENDS || 3);
+const OTP_RESEND_COOLDOWN_MS = Number(process.env.OTP_RESEND_COOLDOWN_SECONDS || 60) * 1000;
+
+// Codes are required unless turned off explicitly with EMAIL_OTP=off
+const EMAIL_OTP = (process.env.EMAIL_OTP || 'on').toLowerCase();
+
+let transporter = null;
+
+/**
+ * Email verification is active unless EMAIL_OTP=off
+ * SMTP_HOST is then required at startup, so a missing host can't turn it off quietly
+ *
+ * @returns {boolean} True if codes should be sent
+ */
+function isOtpEnabled() {
+  return EMAIL_OTP !== 'off';
+}
+
+/**
+ * Initialize the SMTP transport
+ * Host and port are configurable so a local SMTP sink can be used for testing
+ */
+function initializeTransporter() {
+  if (transporter) {
+    return transporter;
+  }
+
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  logger.info(`✅ SMTP transport initialized (${process.env.SMTP_HOST}:${process.env.SMTP_PORT || 587})`);
+  return transporter;
+}
+
+/**
+ * Hash a code so plain codes are never written to the session store
+ *
+ * @param {string} code - Verification code
+ * @returns {string} SHA-256 hex digest
+ */
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+/**
+ * Generate a code, email it and record it on the session
+ *
+ * @param {Object} session - Onboarding session (session.otp is replaced)
+ * @param {string} email - Address to send the code to
+ * @returns {Promise<void>}
+ */
+async function issueCode(session, email) {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  await initializeTransporter().sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to: email,
+    subject: 'Your onboarding verification code',
+    text: `Your verification code is ${code}.\n\nIt expires in ${Math.round(OTP_TTL_MS / 60000)} minutes. If you did not request this code, you can ignore this email.`
+  });
+
+  const previousResends = session.otp ? session.otp.resends : -1;
+  session.otp = {
+    codeHash: hashCode(code),
+    email,
+    sentAt: Date.now(),
+    expiresAt: Date.now() + OTP_TTL_MS,
+    attempts: 0,
+    resends: previousResends + 1,
+    verified: false
+  };
+
+  forSession(session).info('📧 Sent verification code', { email });
+}
+
+/**
+ * Check a code entered by the user
+ *
+ * @param {Object} session - Onboarding session with a pending code
+ * @param {string} input - Code typed by the user
+ * @returns {{ status: 'verified'|'invalid'|'expired'|'locked', attemptsLeft: number }}
+ */
+function checkCode(session, input) {
+  const otp = session.otp;
+
+  if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+    return { status: 'locked', attemptsLeft: 0 };
+  }
+  if (Date.now() > otp.expiresAt) {
+    return { status: 'expired', attemptsLeft: OTP_MAX_ATTEMPTS - otp.attempts };
+  }
+
+  otp.attempts++;
+  const attemptsLeft = OTP_MAX_ATTEMPTS - otp.attempts;
+  const candidate = Buffer.from(hashCode(input.replace(/\s/g, '')));
+
+  if (crypto.timingSafeEqual(candidate, Buffer.from(otp.codeHash))) {
+    otp.verified = true;
+    return { status: 'verified', attemptsLeft };
+  }
+
+  return { status: attemptsLeft > 0 ? 'invalid' : 'locked', attemptsLeft };
+}
+
+/**
+ * Check whether a new code may be sent
+ *
+ * @param {Object} session - Onboarding session
+ * @returns {{ allowed: boolean, reason?: 'limit'|'cooldown', waitSeconds?: number }}
+ */
+function canResend(session) {
+  const otp = session.otp;
+
+  if (otp.resends >= OTP_MAX_RESENDS) {
+    return { allowed: false, reason: 'limit' };
+  }
+
+  const waitMs = otp.sentAt + OTP_RESEND_COOLDOWN_MS - Date.now();
+  if (waitMs > 0) {
+    return { allowed: false, reason: 'cooldown', waitSeconds: Math.ceil(waitMs / 1000) };
+  }
+
+  return { allowed: true };
+}
+
+if (!isOtpEnabled()) {
+  logger.warn('⚠️  EMAIL_OTP=off: learners are verified by the email they type without proving they own it');
+}
+
+module.exports = {
+  isOtpEnabled,
+  issueCode,
+  checkCode,
+  canResend
+};
@@ -1,54 +1,144 @@
-const fs = require('fs');
-const path = require('path');
+const { findByEmail, findByPhone, normalizeEmail, normalizePhone } = require('./roster');
+const { logger } = require('./logger');
+const { isReviewEnabled } = require('./reviewQueue');
+
+// "either": email OR phone must match a learner; "both": every contact the learner registered must match
+const MATCH_POLICY = process.env.VERIFICATION_MATCH_POLICY || 'either';
+
+// "flag": hold verified learners for moderator review when their typed name differs strongly from the roster
+const NAME_CHECK = process.env.VERIFICATION_NAME_CHECK || 'off';
+
+// Minimum name similarity (0-1) before a learner is flagged
+const NAME_MATCH_THRESHOLD = Number(process.env.NAME_MATCH_THRESHOLD || 0.5);
+
+/**
+ * Compare two names using the Dice coefficient of their letter pairs
+ * Word order, case and punctuation are ignored
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} - Similarity from 0 (different) to 1 (same)
+ */
+function nameSimilarity(a, b) {
+    const normalize = name => String(name || '').toLowerCase().replace(/[^a-z\s]/g, '').split(/\s+/).filter(Boolean).sort().join(' ');
+    const left = normalize(a);
+    const right = normalize(b);
+
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+
+    const pairs = text => {
+        const result = [];
+        for (let i = 0; i < text.length - 1; i++) {
+            result.push(text.slice(i, i + 2));
+        }
+        return result;
+    };
+
+    const leftPairs = pairs(left);
+    const rightPairs = pairs(right);
+    const totalPairs = leftPairs.length + rightPairs.length;
+    let matches = 0;
+    for (const pair of leftPairs) {
+        const index = rightPairs.indexOf(pair);
+        if (index !== -1) {
+            matches++;
+            rightPairs.splice(index, 1);
+        }
+    }
+
+    return totalPairs > 0 ? (2 * matches) / totalPairs : 0;
+}
 
 /**
- * Verifies if an email exists in the paidLearners.json file
- * @param {string} email - The email address to verify
- * @returns {Object} - { isVerified: boolean, learnerData: Object|null }
+ * Find the roster entry for a learner's contact details, applying the match policy
+ * Phone numbers are never proven, so once the user has confirmed their email
+ * by code, the roster entry must have that email and a phone match only adds to it
+ * @param {Object} details - Contact details
+ * @param {string} details.email - Email address
+ * @param {string} [details.phone] - Phone number
+ * @param {string} [details.verifiedEmail] - Email the user proved they own with a code
+ * @returns {Object} - { learner: Object|null, matchReason: string }
  */
-function verifyPaidLearner(email) {
+function findRosterMatch({ email, phone, verifiedEmail = null }) {
+    const learner = verifiedEmail
+        ? findByEmail(verifiedEmail)
+        : findByEmail(email) || findByPhone(phone);
+
+    if (!learner) {
+        // A phone match alone could be anyone who knows the learner's number
+        const phoneOnly = Boolean(verifiedEmail && findByPhone(phone));
+        return { learner: null, matchReason: phoneOnly ? 'phone only (email not in roster)' : 'not found' };
+    }
+
+    const emailMatches = Boolean(learner.email) && normalizeEmail(learner.email) === normalizeEmail(verifiedEmail || email);
+    const phoneMatches = Boolean(learner.phone) && normalizePhone(learner.phone) === normalizePhone(phone);
+
+    // Require every contact detail the learner registered to match
+    if (MATCH_POLICY === 'both' && ((learner.email && !emailMatches) || (learner.phone && !phoneMatches))) {
+        return { learner: null, matchReason: 'email/phone mismatch' };
+    }
+
+    return { learner, matchReason: emailMatches && phoneMatches ? 'email+phone' : emailMatches ? 'email' : 'phone' };
+}
+
+/**
+ * Verifies if a learner exists in the paid learner roster by email or phone
+ * @param {Object} details - Details entered by the user
+ * @param {string} details.email - The email address to verify
+ * @param {string} [details.phone] - The phone number to verify
+ * @param {string} [details.name] - The typed name, compared against the roster name
+ * @param {string} [details.verifiedEmail] - Email the user proved they own with a code
+ * @param {Logger} [log] - Logger to use, e.g. one tagged with the onboarding session
+ * @returns {Object} - { isVerified: boolean, learnerData: Object|null, matchReason: string, flagged: boolean }
+ */
+function verifyPaidLearner({ email, phone, name, verifiedEmail = null }, log = logger) {
     try {
-        // Path to paidLearners.json
-        const paidLearnersPath = path.join(__dirname, '..', 'paidLearners.json');
+        const match = findRosterMatch({ email, phone, verifiedEmail });
+        const { learner } = match;
 
-        // Check if file exists
-        if (!fs.existsSync(paidLearnersPath)) {
-            console.error('paidLearners.json file not found');
-            return { isVerified: false, learnerData: null };
+        if (!learner) {
+            const message = {
+                'phone only (email not in roster)': '✗ Phone matches but verified email is not in the roster',
+                'email/phone mismatch': '✗ Partial match: does not match all registered details'
+            }[match.matchReason] || '✗ Not found: not a paid learner';
+            log.info(message, { email, phone });
+            return { isVerified: false, learnerData: null, matchReason: match.matchReason, flagged: false };
         }
 
-        // Read and parse the JSON file
-        const fileContent = fs.readFileSync(paidLearnersPath, 'utf8');
-        const paidLearners = JSON.parse(fileContent);
-
-        // Normalize the email for comparison (case-insensitive)
-        const normalizedEmail = email.toLowerCase().trim();
-
-        // Search for the learner by email
-        const learner = paidLearners.find(
-            learner => learner.email && learner.email.toLowerCase().trim() === normalizedEmail
-        );
-
-        if (learner) {
-            console.log(`✓ Email verified: ${email} is a paid learner`);
-            return {
-                isVerified: true,
-                learnerData: {
-                    name: learner.name,
-                    email: learner.email,
-                    program: learner.program,
-                    batch: learner.batch
-                }
-            };
-        } else {
-            console.log(`✗ Email not found: ${email} is not a paid learner`);
-            return { isVerified: false, learnerData: null };
+        let matchReason = match.matchReason;
+        let flagged = false;
+
+        if (NAME_CHECK === 'flag' && learner.name) {
+            const similarity = nameSimilarity(name, learner.name);
+            if (similarity < NAME_MATCH_THRESHOLD) {
+                flagged = true;
+                matchReason += ` (name mismatch ${similarity.toFixed(2)}: flagged for review)`;
+                log.warn('⚠️  Typed name differs from roster name', { name, rosterName: learner.name, similarity });
+            }
         }
 
+        log.info(`✓ Verified by ${matchReason}: paid learner`, { email });
+        return {
+            isVerified: true,
+            learnerData: {
+                name: learner.name,
+                email: learner.email,
+                phone: learner.phone,
+                program: learner.program,
+                batch: learner.batch
+            },
+            matchReason,
+            flagged
+        };
+
     } catch (error) {
-        console.error('Error verifying paid learner:', error);
-        return { isVerified: false, learnerData: null };
+        log.error('❌ Error verifying paid learner', { error });
+        return { isVerified: false, learnerData: null, matchReason: 'error', flagged: false };
     }
 }
 
-module.exports = { verifyPaidLearner };
+if (NAME_CHECK === 'flag' && !isReviewEnabled()) {
+    logger.warn('⚠️  VERIFICATION_NAME_CHECK=flag without REVIEW_CHANNEL_ID: name mismatches are only noted in the match reason and still get access');
+}
+
+module.exports = { verifyPaidLearner, findRosterMatch, nameSimilarity };
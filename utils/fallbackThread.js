@@ -0,0 +1,144 @@
+/**
+ * Fallback Thread Module
+ *
+ * Runs onboarding in a private thread when a member's DMs are closed. Threads
+ * are created under the channel named in ONBOARDING_CHANNEL (default
+ * "onboarding"). Only the member, the bot and moderators with Manage Threads
+ * can see a private thread, so answers stay hidden from other members.
+ */
+
+const { ChannelType, ThreadAutoArchiveDuration } = require('discord.js');
+const { resolveChannel } = require('./inviteMap');
+const { logger, forSession, forMember } = require('./logger');
+
+// Parent channel for fallback threads (name or ID)
+const ONBOARDING_CHANNEL = process.env.ONBOARDING_CHANNEL || 'onboarding';
+
+// Give the member time to read the final message before the thread is deleted
+const THREAD_CLEANUP_DELAY_MS = 2 * 60 * 1000;
+
+/**
+ * Find the channel fallback threads are created in
+ *
+ * @param {Guild} guild - Discord guild
+ * @returns {TextChannel|null} Parent channel, or null if it doesn't exist
+ */
+function getFallbackChannel(guild) {
+  const channel = resolveChannel(guild, ONBOARDING_CHANNEL);
+  return channel && channel.type === ChannelType.GuildText ? channel : null;
+}
+
+/**
+ * Open a private onboarding thread for a member whose DMs are closed
+ *
+ * @param {GuildMember} member - Member to onboard
+ * @returns {Promise<ThreadChannel|null>} The thread, or null if no fallback channel is set up
+ */
+async function openFallbackThread(member) {
+  const channel = getFallbackChannel(member.guild);
+  if (!channel) {
+    forMember(member).warn(`⚠️  No #${ONBOARDING_CHANNEL} text channel in ${member.guild.name} for fallback onboarding threads`);
+    return null;
+  }
+
+  try {
+    const thread = await channel.threads.create({
+      name: `Onboarding - ${member.user.username}`.slice(0, 100),
+      type: ChannelType.PrivateThread,
+      // Only moderators can add people to the thread
+      invitable: false,
+      autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek,
+      reason: `DMs closed - onboarding ${member.user.tag} in a private thread`
+    });
+    await thread.members.add(member.id);
+
+    forMember(member).info(`🧵 Opened private onboarding thread for ${member.user.tag} in #${channel.name}`, { threadId: thread.id });
+    return thread;
+  } catch (error) {
+    forMember(member).error(`❌ Failed to open onboarding thread for ${member.user.tag}`, { error });
+    return null;
+  }
+}
+
+/**
+ * Get the channel a session's onboarding runs in: its private thread, or the user's DM
+ *
+ * @param {Client} client - Discord client
+ * @param {Object} session - Onboarding session
+ * @returns {Promise<TextBasedChannel>} Thread or DM channel
+ */
+async function getSessionChannel(client, session) {
+  if (session.threadId) {
+    return client.channels.fetch(session.threadId);
+  }
+
+  const user = await client.users.fetch(session.userId);
+  return user.createDM();
+}
+
+/**
+ * Delete a session's private thread, if it has one
+ *
+ * @param {Client} client - Discord client
+ * @param {Object} session - Onboarding session
+ * @param {Object} [options]
+ * @param {boolean} [options.delay] - Wait a couple of minutes so the member can read the last message
+ */
+async function closeFallbackThread(client, session, { delay = false } = {}) {
+  if (!session.threadId) return;
+
+  const deleteThread = async () => {
+    try {
+      const thread = await client.channels.fetch(session.threadId);
+      await thread.delete('Onboarding finished');
+      forSession(session).info(`🧵 Deleted onboarding thread for ${session.username}`, { threadId: session.threadId });
+    } catch (error) {
+      forSession(session).error(`❌ Failed to delete onboarding thread for ${session.username}`, { threadId: session.threadId, error });
+    }
+  };
+
+  if (delay) {
+    // Threads left behind by a restart are removed by cleanupFallbackThreads
+    setTimeout(deleteThread, THREAD_CLEANUP_DELAY_MS);
+  } else {
+    await deleteThread();
+  }
+}
+
+/**
+ * Delete onboarding threads that no pending session uses any more
+ * Catches threads whose delayed cleanup was interrupted by a restart
+ *
+ * @param {Client} client - Discord client
+ * @param {Collection} sessions - Active onboarding sessions
+ */
+async function cleanupFallbackThreads(client, sessions) {
+  const inUse = new Set(sessions.map(session => session.threadId).filter(Boolean));
+
+  for (const guild of client.guilds.cache.values()) {
+    const channel = getFallbackChannel(guild);
+    if (!channel) continue;
+
+    try {
+      const { threads } = await channel.threads.fetchActive();
+      const stale = threads.filter(thread =>
+        thread.parentId === channel.id && thread.ownerId === client.user.id && !inUse.has(thread.id));
+
+      for (const thread of stale.values()) {
+        await thread.delete('Onboarding finished');
+      }
+      if (stale.size > 0) {
+        logger.info(`🧵 Deleted ${stale.size} finished onboarding thread(s) in ${guild.name}`, { guildId: guild.id });
+      }
+    } catch (error) {
+      logger.error(`❌ Failed to clean up onboarding threads in ${guild.name}`, { guildId: guild.id, error });
+    }
+  }
+}
+
+module.exports = {
+  openFallbackThread,
+  getSessionChannel,
+  closeFallbackThread,
+  cleanupFallbackThreads
+};
@@ -0,0 +1,123 @@
+/**
+ * Health Server Module
+ *
+ * Small HTTP server for the hosting platform and monitoring:
+ *   /healthz - the process is up
+ *   /readyz  - the bot can onboard members (gateway connected, invites cached,
+ *              roster loaded, Google Sheets auth working)
+ *   /metrics - Prometheus metrics
+ * Listens on HEALTH_PORT, falling back to PORT (set by Railway) and then 3000.
+ */
+
+const http = require('http');
+const { Status } = require('discord.js');
+const { invites } = require('./inviteTracker');
+const { getRosterInfo } = require('./roster');
+const { getConfiguredSinkNames } = require('./sinks');
+const { getOutbox } = require('./recordOutbox');
+const { checkSheetsAuth } = require('./sheets');
+const { registerGauges, renderMetrics } = require('./metrics');
+const { logger } = require('./logger');
+
+const HEALTH_PORT = Number(process.env.HEALTH_PORT || process.env.PORT || 3000);
+
+// Readiness probes shouldn't hang while Google is slow to answer
+const SHEETS_AUTH_TIMEOUT_MS = 5000;
+
+/**
+ * Check Google Sheets auth, treating a slow answer as a failure
+ *
+ * @returns {Promise<boolean>} True if Sheets auth works
+ */
+function checkSheetsAuthWithTimeout() {
+  let timeout;
+  return Promise.race([
+    checkSheetsAuth(),
+    new Promise(resolve => {
+      timeout = setTimeout(() => resolve(false), SHEETS_AUTH_TIMEOUT_MS);
+    })
+  ]).finally(() => clearTimeout(timeout));
+}
+
+/**
+ * Run every readiness check
+ *
+ * @param {Client} client - Discord client
+ * @returns {Promise<Object>} Check name -> passed
+ */
+async function getReadiness(client) {
+  const guilds = [...client.guilds.cache.values()];
+  const checks = {
+    gateway: client.ws.status === Status.Ready,
+    invites: guilds.length > 0 && guilds.every(guild => invites.has(guild.id)),
+    roster: Boolean(getRosterInfo().loadedAt)
+  };
+
+  // Only required when records are written to Google Sheets
+  if (getConfiguredSinkNames().includes('sheets')) {
+    checks.sheets = await checkSheetsAuthWithTimeout();
+  }
+  return checks;
+}
+
+/**
+ * Send a response with the given status, content type and body
+ *
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {string} contentType - Content-Type header
+ * @param {string} body - Response body
+ */
+function send(res, status, contentType, body) {
+  res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+  res.end(body);
+}
+
+/**
+ * Start the health, readiness and metrics server
+ *
+ * @param {Client} client - Discord client
+ * @param {Collection} sessions - Active onboarding sessions
+ * @returns {http.Server} The server
+ */
+function startHealthServer(client, sessions) {
+  registerGauges({
+    onboarding_sessions_active: { help: 'Onboarding sessions in progress', read: () => sessions.size },
+    onboarding_discord_gateway_connected: { help: '1 when connected to the Discord gateway', read: () => (client.ws.status === Status.Ready ? 1 : 0) },
+    onboarding_roster_learners: { help: 'Learners in the loaded paid learner roster', read: () => getRosterInfo().size },
+    onboarding_record_outbox_pending: { help: 'Record writes waiting to be sent or retried', read: () => getOutbox().pending.length },
+    onboarding_record_outbox_dead_letters: { help: 'Record writes that gave up after failing', read: () => getOutbox().deadLetters.length }
+  });
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      if (pathname === '/healthz') {
+        send(res, 200, 'text/plain; charset=utf-8', 'ok\n');
+      } else if (pathname === '/readyz') {
+        const checks = await getReadiness(client);
+        const ready = Object.values(checks).every(Boolean);
+        send(res, ready ? 200 : 503, 'application/json', JSON.stringify({ ready, checks }));
+      } else if (pathname === '/metrics') {
+        send(res, 200, 'text/plain; version=0.0.4; charset=utf-8', renderMetrics());
+      } else {
+        send(res, 404, 'text/plain; charset=utf-8', 'Not found\n');
+      }
+    } catch (error) {
+      logger.error(`❌ Health server failed to handle ${pathname}`, { error });
+      send(res, 500, 'text/plain; charset=utf-8', 'Internal error\n');
+    }
+  });
+
+  server.on('error', (error) => {
+    logger.error(`❌ Health server could not listen on port ${HEALTH_PORT}`, { error });
+  });
+
+  server.listen(HEALTH_PORT, () => {
+    logger.info(`🩺 Health server listening on port ${HEALTH_PORT} (/healthz, /readyz, /metrics)`);
+  });
+  return server;
+}
+
+module.exports = { startHealthServer };
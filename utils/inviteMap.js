@@ -0,0 +1,201 @@
+/**
+ * Invite Mapping Module
+ *
+ * Maps invite codes to the course a member is joining, the roles they get and
+ * the channels they can see once onboarded (config/invites.json by default,
+ * override with INVITE_MAP_PATH). Invites without a mapping fall back to the
+ * invite's own channel. Invites created or revoked with /invite are saved in
+ * the data directory and applied on top of the config file, which the bot
+ * never writes.
+ */
+
+const path = require('path');
+const { dataPath, readJsonFile, writeJsonFile } = require('./storage');
+const { logger } = require('./logger');
+
+const INVITE_MAP_PATH = path.resolve(
+  process.env.INVITE_MAP_PATH || path.join(__dirname, '..', 'config', 'invites.json')
+);
+
+// Mappings changed with /invite, on the data volume so they survive redeploys
+const RUNTIME_INVITE_MAP_PATH = dataPath('invites.json');
+
+/**
+ * Check a mapping for missing or wrongly typed fields
+ *
+ * @param {string} code - Invite code
+ * @param {Object} mapping - Mapping config
+ */
+function validateMapping(code, mapping) {
+  if (!mapping || typeof mapping.course !== 'string' || !mapping.course.trim()) {
+    throw new Error(`Invite "${code}" needs a "course" name`);
+  }
+  for (const field of ['roles', 'channels']) {
+    if (mapping[field] !== undefined && (!Array.isArray(mapping[field]) || mapping[field].some(value => typeof value !== 'string'))) {
+      throw new Error(`Invite "${code}" has an invalid "${field}" list (expected role/channel names or IDs)`);
+    }
+  }
+}
+
+/**
+ * Build the in-memory mapping for an invite code from its config
+ * Extra fields (e.g., who created the invite) are kept as-is
+ *
+ * @param {string} code - Invite code
+ * @param {Object} mapping - Mapping config
+ * @returns {Object} Mapping
+ */
+function buildMapping(code, mapping) {
+  validateMapping(code, mapping);
+
+  const { course, roles = [], channels = [], ...extra } = mapping;
+  return { ...extra, code, name: course.trim(), roles, channels };
+}
+
+/**
+ * Load the invite mappings from a file
+ * A missing file means no invites are mapped
+ *
+ * @param {string} mapPath - Path to the invite map file
+ * @returns {{ mappings: Map<string, Object>, removed: Set<string> }} Invite code -> mapping,
+ *   and config codes revoked with /invite (runtime file only)
+ */
+function loadInviteMap(mapPath) {
+  const config = readJsonFile(mapPath, { invites: {} });
+  const mappings = new Map();
+
+  for (const [code, mapping] of Object.entries(config.invites || {})) {
+    mappings.set(code, buildMapping(code, mapping));
+  }
+
+  return { mappings, removed: new Set(config.removed || []) };
+}
+
+let configMap;
+let runtimeMap;
+let removedCodes;
+try {
+  configMap = loadInviteMap(INVITE_MAP_PATH).mappings;
+  ({ mappings: runtimeMap, removed: removedCodes } = loadInviteMap(RUNTIME_INVITE_MAP_PATH));
+  logger.info(`🎟️  Loaded ${configMap.size} invite mapping(s) from ${INVITE_MAP_PATH} and ${runtimeMap.size} from ${RUNTIME_INVITE_MAP_PATH}`);
+} catch (error) {
+  logger.error('❌ Invalid invite map', { error });
+  throw error;
+}
+
+// Config mappings, then /invite changes on top
+const inviteMap = new Map([...configMap, ...runtimeMap]);
+for (const code of removedCodes) {
+  inviteMap.delete(code);
+}
+
+/**
+ * Look up the course mapped to an invite code
+ *
+ * @param {string} code - Invite code
+ * @returns {{ code: string, name: string, roles: string[], channels: string[] }|null} Mapping, if any
+ */
+function getInviteMapping(code) {
+  return (code && inviteMap.get(code)) || null;
+}
+
+/**
+ * @returns {Object[]} Every invite mapping
+ */
+function listInviteMappings() {
+  return [...inviteMap.values()];
+}
+
+/**
+ * Save the mappings changed with /invite to the data directory
+ */
+function saveInviteMap() {
+  const invites = {};
+  for (const { code, name, roles, channels, ...extra } of runtimeMap.values()) {
+    invites[code] = { course: name, roles, channels, ...extra };
+  }
+  writeJsonFile(RUNTIME_INVITE_MAP_PATH, { invites, removed: [...removedCodes] });
+}
+
+/**
+ * Add or replace the mapping for an invite code and save it
+ *
+ * @param {string} code - Invite code
+ * @param {Object} mapping - Mapping config
+ * @param {string} mapping.course - Course name
+ * @param {string[]} [mapping.roles] - Role IDs or names to grant
+ * @param {string[]} [mapping.channels] - Channel IDs or names to unlock
+ * @returns {Object} Stored mapping
+ */
+function setInviteMapping(code, mapping) {
+  runtimeMap.set(code, buildMapping(code, mapping));
+  removedCodes.delete(code);
+  inviteMap.set(code, runtimeMap.get(code));
+  saveInviteMap();
+
+  return inviteMap.get(code);
+}
+
+/**
+ * Remove the mapping for an invite code and save it
+ *
+ * @param {string} code - Invite code
+ * @returns {boolean} True if a mapping was removed
+ */
+function removeInviteMapping(code) {
+  const removed = inviteMap.delete(code);
+  if (removed) {
+    runtimeMap.delete(code);
+    // Config mappings can't be deleted from the file, so remember they were revoked
+    if (configMap.has(code)) {
+      removedCodes.add(code);
+    }
+    saveInviteMap();
+  }
+  return removed;
+}
+
+/**
+ * Name of the course a session is onboarding into
+ * Uses the mapped course, falling back to the invite's channel name
+ *
+ * @param {Object} session - Onboarding session
+ * @returns {string} Course name
+ */
+function getCourseName(session) {
+  return session.course ? session.course.name : session.channelName;
+}
+
+/**
+ * Find a role by ID or name
+ *
+ * @param {Guild} guild - Discord guild
+ * @param {string} ref - Role ID or name
+ * @returns {Role|undefined} Role
+ */
+function resolveRole(guild, ref) {
+  return guild.roles.cache.get(ref) || guild.roles.cache.find(role => role.name === ref);
+}
+
+/**
+ * Find a channel by ID or name (a leading # is ignored)
+ *
+ * @param {Guild} guild - Discord guild
+ * @param {string} ref - Channel ID or name
+ * @returns {GuildChannel|undefined} Channel
+ */
+function resolveChannel(guild, ref) {
+  const name = ref.replace(/^#/, '');
+  return guild.channels.cache.get(ref) || guild.channels.cache.find(channel => channel.name === name);
+}
+
+module.exports = {
+  INVITE_MAP_PATH,
+  getInviteMapping,
+  listInviteMappings,
+  setInviteMapping,
+  removeInviteMapping,
+  getCourseName,
+  resolveRole,
+  resolveChannel
+};
@@ -0,0 +1,294 @@
+/**
+ * Invite Tracker Module
+ *
+ * Works out which invite a new member used by comparing invite use counts
+ * before and after the join. Joins are processed one at a time per guild so
+ * near-simultaneous joins don't read the same snapshot. Invites deleted on
+ * reaching their max uses and the server's vanity URL are tracked too, and
+ * every attribution comes with a confidence level.
+ */
+
+const { Collection } = require('discord.js');
+const { getInviteMapping, listInviteMappings } = require('./inviteMap');
+const { logger } = require('./logger');
+
+// How long an invite deleted at its max uses can still be credited with a join
+const EXHAUSTED_INVITE_TTL_MS = 60 * 1000;
+
+// Cached invites per guild (guildId -> Collection of code -> invite info)
+const invites = new Collection();
+
+// Vanity URL use counts per guild (guildId -> { code, uses })
+const vanityUses = new Map();
+
+// Tail of the join processing chain per guild
+const joinQueues = new Map();
+
+/**
+ * Snapshot the fields we need from a Discord invite
+ *
+ * @param {Invite} invite - Discord invite
+ * @returns {Object} Cached invite info
+ */
+function toCacheEntry(invite) {
+  return {
+    code: invite.code,
+    uses: invite.uses || 0,
+    maxUses: invite.maxUses || 0,
+    expiresAt: invite.expiresTimestamp || null,
+    channelId: invite.channel ? invite.channel.id : invite.channelId || null,
+    channelName: invite.channel ? invite.channel.name : null,
+    deletedAt: null
+  };
+}
+
+/**
+ * Fetch the vanity URL use count, if the guild has one
+ *
+ * @param {Guild} guild - Discord guild
+ * @returns {Promise<{ code: string, uses: number }|null>} Vanity data
+ */
+async function fetchVanity(guild) {
+  if (!guild.vanityURLCode) return null;
+
+  try {
+    const vanity = await guild.fetchVanityData();
+    return { code: vanity.code, uses: vanity.uses };
+  } catch (error) {
+    logger.warn(`⚠️  Could not fetch vanity URL uses for ${guild.name}`, { guildId: guild.id, error });
+    return null;
+  }
+}
+
+/**
+ * Fetch and cache all invites for a guild
+ *
+ * @param {Guild} guild - Discord guild
+ */
+async function cacheInvites(guild) {
+  try {
+    const fetchedInvites = await guild.invites.fetch();
+    invites.set(guild.id, new Collection(fetchedInvites.map(invite => [invite.code, toCacheEntry(invite)])));
+
+    const vanity = await fetchVanity(guild);
+    if (vanity) {
+      vanityUses.set(guild.id, vanity);
+    }
+
+    logger.info(`📋 Cached ${fetchedInvites.size} invites for guild: ${guild.name}${vanity ? ` (+ vanity URL /${vanity.code})` : ''}`, { guildId: guild.id });
+  } catch (error) {
+    logger.error(`❌ Error caching invites for ${guild.name}`, { guildId: guild.id, error });
+  }
+}
+
+/**
+ * Add a newly created invite to the cache
+ *
+ * @param {Invite} invite - Discord invite
+ */
+function trackInviteCreate(invite) {
+  const guildInvites = invites.get(invite.guild.id) || new Collection();
+  guildInvites.set(invite.code, toCacheEntry(invite));
+  invites.set(invite.guild.id, guildInvites);
+}
+
+/**
+ * Handle a deleted invite
+ * Invites one use short of their limit were most likely used up by a member
+ * who is joining right now, so they are kept briefly for attribution
+ *
+ * @param {Invite} invite - Discord invite
+ */
+function trackInviteDelete(invite) {
+  const guildInvites = invites.get(invite.guild.id);
+  const cached = guildInvites && guildInvites.get(invite.code);
+  if (!cached) return;
+
+  if (cached.maxUses && cached.uses >= cached.maxUses - 1) {
+    cached.deletedAt = Date.now();
+  } else {
+    guildInvites.delete(invite.code);
+  }
+}
+
+/**
+ * Describe an attribution candidate
+ *
+ * @param {Object} entry - Cached invite info
+ * @param {boolean} [vanity] - Whether this is the vanity URL
+ * @returns {{ code: string, channelId: string|null, channelName: string, course: Object|null, vanity: boolean }}
+ */
+function toCandidate(entry, vanity = false) {
+  return {
+    code: entry.code,
+    channelId: entry.channelId || null,
+    channelName: entry.channelName || (vanity ? 'vanity URL' : 'Unknown'),
+    course: getInviteMapping(entry.code),
+    vanity
+  };
+}
+
+/**
+ * Key that identifies the course a candidate leads to
+ * Two invites for the same course are not ambiguous
+ *
+ * @param {Object} candidate - Attribution candidate
+ * @returns {string} Course key
+ */
+function courseKey(candidate) {
+  return candidate.course ? `course:${candidate.course.name}` : `channel:${candidate.channelId || candidate.code}`;
+}
+
+/**
+ * Compare fresh invite counts against the cache and pick the invite used
+ *
+ * @param {Guild} guild - Discord guild
+ * @returns {Promise<Object>} Attribution result
+ */
+async function detectUsedInvite(guild) {
+  const oldInvites = invites.get(guild.id);
+  if (!oldInvites) {
+    return { confidence: 'none', invite: null, candidates: [] };
+  }
+
+  const newInvites = await guild.invites.fetch();
+  const now = Date.now();
+  let candidates = [];
+  const nextCache = new Collection();
+
+  for (const invite of newInvites.values()) {
+    const entry = toCacheEntry(invite);
+    const old = oldInvites.get(invite.code);
+
+    if (old && entry.uses > old.uses) {
+      candidates.push({ entry, old });
+    } else if (!old && entry.uses > 0) {
+      // Created and used before inviteCreate reached us
+      candidates.push({ entry, old: { ...entry, uses: 0 } });
+    }
+    nextCache.set(invite.code, entry);
+  }
+
+  // Invites that vanished one use short of their limit were used up by this join
+  for (const old of oldInvites.values()) {
+    if (newInvites.has(old.code)) continue;
+
+    const expired = old.expiresAt && old.expiresAt <= now;
+    const recentlyDeleted = !old.deletedAt || now - old.deletedAt < EXHAUSTED_INVITE_TTL_MS;
+    if (old.maxUses && old.uses >= old.maxUses - 1 && !expired && recentlyDeleted) {
+      // An unused single-use invite looks the same whether it was used or revoked by an admin
+      const uncertain = old.maxUses === 1;
+      candidates.push({ entry: { ...old, uses: old.maxUses }, old, exhausted: true, uncertain });
+      nextCache.set(old.code, { ...old, deletedAt: old.deletedAt || now });
+    }
+  }
+
+  const vanity = await fetchVanity(guild);
+  const oldVanity = vanityUses.get(guild.id);
+  if (vanity) {
+    if (oldVanity && vanity.uses > oldVanity.uses) {
+      candidates.push({ entry: { code: vanity.code, uses: vanity.uses }, old: oldVanity, vanity: true });
+    }
+    vanityUses.set(guild.id, vanity);
+  }
+
+  // Possibly revoked invites only count when nothing else explains the join
+  if (candidates.some(candidate => !candidate.uncertain)) {
+    candidates = candidates.filter(candidate => !candidate.uncertain);
+  }
+
+  const described = candidates.map(candidate => toCandidate(candidate.entry, candidate.vanity));
+  const courses = new Set(described.map(courseKey));
+
+  if (candidates.length === 0) {
+    invites.set(guild.id, nextCache);
+    return { confidence: 'none', invite: null, candidates: [] };
+  }
+
+  if (courses.size > 1) {
+    // Several members joined through different invites at once - we can't tell who used which
+    invites.set(guild.id, nextCache.filter(entry => !entry.deletedAt));
+    return { confidence: 'ambiguous', invite: null, candidates: described };
+  }
+
+  // One course: credit a single use so the next queued join sees any remaining increase
+  const [chosen] = candidates;
+  if (chosen.vanity) {
+    vanityUses.set(guild.id, { ...vanity, uses: chosen.old.uses + 1 });
+  } else if (chosen.exhausted) {
+    nextCache.delete(chosen.entry.code);
+  } else {
+    nextCache.set(chosen.entry.code, { ...chosen.entry, uses: chosen.old.uses + 1 });
+  }
+
+  // Other candidates lead to the same course; keep their increase for the next join too
+  for (const other of candidates.slice(1)) {
+    if (other.vanity) {
+      vanityUses.set(guild.id, other.old);
+    } else if (!other.exhausted) {
+      nextCache.set(other.entry.code, { ...other.entry, uses: other.old.uses });
+    }
+  }
+  invites.set(guild.id, nextCache);
+
+  let confidence = candidates.length === 1 ? 'high' : 'medium';
+  if (chosen.uncertain) {
+    confidence = 'low';
+  }
+  return { confidence, invite: described[0], candidates: described };
+}
+
+/**
+ * Attribute a join to an invite, one join at a time per guild
+ *
+ * @param {Guild} guild - Discord guild
+ * @returns {Promise<{ confidence: string, invite: Object|null, candidates: Object[] }>}
+ *   confidence is "high" (one invite used), "medium" (several invites for the same course),
+ *   "low" (only a deleted single-use invite, which may have been revoked instead of used),
+ *   "ambiguous" (invites for different courses) or "none" (no invite detected)
+ */
+function attributeJoin(guild) {
+  const previous = joinQueues.get(guild.id) || Promise.resolve();
+
+  const result = previous.then(() => detectUsedInvite(guild)).catch(error => {
+    logger.error('❌ Error detecting used invite', { guildId: guild.id, error });
+    return { confidence: 'none', invite: null, candidates: [] };
+  });
+
+  joinQueues.set(guild.id, result);
+  return result;
+}
+
+/**
+ * Courses a member can pick from when their invite could not be detected
+ * Uses the ambiguous candidates if there are any, otherwise every mapped course in the guild
+ *
+ * @param {string} guildId - Guild ID
+ * @param {Object[]} candidates - Ambiguous attribution candidates
+ * @returns {Object[]} One choice per course
+ */
+function getCourseChoices(guildId, candidates) {
+  const guildInvites = invites.get(guildId) || new Collection();
+  const options = candidates.length > 0
+    ? candidates
+    : listInviteMappings()
+      .filter(mapping => !mapping.guildId || mapping.guildId === guildId)
+      .map(mapping => toCandidate(guildInvites.get(mapping.code) || { code: mapping.code }));
+
+  const seen = new Set();
+  return options.filter(option => {
+    const key = courseKey(option);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+module.exports = {
+  invites,
+  cacheInvites,
+  trackInviteCreate,
+  trackInviteDelete,
+  attributeJoin,
+  getCourseChoices
+};
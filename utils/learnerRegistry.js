@@ -0,0 +1,102 @@
+/**
+ * Learner Registry Module
+ *
+ * Remembers every member who finished onboarding (their contact details,
+ * course and the roles they were given) so access can be reconciled against
+ * the roster later and revoked when they leave or stop being a paid learner
+ */
+
+const { dataPath, readJsonFile, writeJsonFile } = require('./storage');
+const { logger } = require('./logger');
+
+const REGISTRY_PATH = process.env.LEARNER_REGISTRY_PATH || dataPath('learners.json');
+
+// userId -> learner entry
+let learners = null;
+
+/**
+ * Load the registry on first use
+ *
+ * @returns {Map<string, Object>} Learners by user ID
+ */
+function getLearners() {
+  if (!learners) {
+    try {
+      learners = new Map(readJsonFile(REGISTRY_PATH, []).map(learner => [learner.userId, learner]));
+    } catch (error) {
+      logger.error('❌ Error loading learner registry', { path: REGISTRY_PATH, error });
+      learners = new Map();
+    }
+  }
+  return learners;
+}
+
+/**
+ * Write the registry to disk
+ */
+function save() {
+  try {
+    writeJsonFile(REGISTRY_PATH, [...getLearners().values()]);
+  } catch (error) {
+    logger.error('❌ Error saving learner registry', { path: REGISTRY_PATH, error });
+  }
+}
+
+/**
+ * Add or replace a learner after onboarding
+ *
+ * @param {Object} learner - Learner entry
+ * @param {string} learner.userId - Discord user ID
+ * @param {string} learner.guildId - Guild the learner was onboarded in
+ * @param {Object} learner.record - Onboarding record written to the sinks
+ * @param {string[]} learner.roleIds - Roles granted during onboarding
+ * @param {boolean} learner.manual - Approved by a moderator rather than found in the roster
+ */
+function registerLearner(learner) {
+  getLearners().set(learner.userId, {
+    ...learner,
+    status: 'active',
+    missingSince: null,
+    warnedAt: null
+  });
+  save();
+}
+
+/**
+ * @param {string} userId - Discord user ID
+ * @returns {Object|null} Learner entry
+ */
+function getLearner(userId) {
+  return getLearners().get(userId) || null;
+}
+
+/**
+ * @param {string} guildId - Guild ID
+ * @returns {Object[]} Active learners in the guild
+ */
+function listActiveLearners(guildId) {
+  return [...getLearners().values()].filter(learner => learner.guildId === guildId && learner.status === 'active');
+}
+
+/**
+ * Update fields on a learner entry and save
+ *
+ * @param {string} userId - Discord user ID
+ * @param {Object} changes - Fields to update
+ * @returns {Object|null} Updated entry
+ */
+function updateLearner(userId, changes) {
+  const learner = getLearner(userId);
+  if (!learner) return null;
+
+  Object.assign(learner, changes);
+  save();
+  return learner;
+}
+
+module.exports = {
+  registerLearner,
+  getLearner,
+  listActiveLearners,
+  updateLearner
+};
@@ -0,0 +1,169 @@
+/**
+ * Logger Module
+ *
+ * Levelled logging with one JSON object per line, so hosted log search
+ * (e.g., Railway) can filter by level, guild, user or session. Emails, phone
+ * numbers, names and answers are redacted unless LOG_DEBUG is turned on for
+ * local debugging.
+ */
+
+const { maskEmail, maskPhone, maskName, redactText } = require('./redact');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Local debugging only: shows debug logs and turns off redaction
+const LOG_DEBUG = process.env.LOG_DEBUG === 'true';
+
+const LOG_LEVEL = LOG_DEBUG ? 'debug' : (LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info');
+
+// "json" (default) for hosted logs, "text" for readable local output
+const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+
+// Field names whose values are always masked or hidden
+const FIELD_MASKS = {
+  email: maskEmail,
+  phone: maskPhone,
+  name: maskName,
+  rosterName: maskName,
+  answer: () => '[redacted]'
+};
+
+// Correlation fields, shown first in text output
+const CONTEXT_KEYS = ['guildId', 'userId', 'sessionId'];
+
+/**
+ * Make a field value safe to log: errors become their message, personal details are masked
+ *
+ * @param {string} key - Field name
+ * @param {*} value - Field value
+ * @param {boolean} [isAnswer] - Value is one of the user's answers (unknown answers are hidden)
+ * @returns {*} Loggable value
+ */
+function prepareValue(key, value, isAnswer = false) {
+  if (value instanceof Error) {
+    return LOG_DEBUG ? value.stack : redactText(value.message);
+  }
+  if (LOG_DEBUG || value === null || value === undefined || value === '') {
+    return value;
+  }
+  if (FIELD_MASKS[key]) {
+    return FIELD_MASKS[key](value);
+  }
+  if (isAnswer) {
+    return '[redacted]';
+  }
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    const prepared = {};
+    for (const [childKey, childValue] of Object.entries(value)) {
+      prepared[childKey] = prepareValue(childKey, childValue, key === 'answers');
+    }
+    return prepared;
+  }
+  return typeof value === 'string' ? redactText(value) : value;
+}
+
+/**
+ * Render a log entry as a single readable line
+ *
+ * @param {Object} entry - Log entry
+ * @returns {string} Text line
+ */
+function formatText({ time, level, msg, ...fields }) {
+  const context = CONTEXT_KEYS.filter(key => fields[key]).map(key => `${key}=${fields[key]}`);
+  const extra = Object.entries(fields)
+    .filter(([key, value]) => !CONTEXT_KEYS.includes(key) && value !== undefined)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`);
+
+  const prefix = level === 'info' ? '' : `[${level.toUpperCase()}] `;
+  return `${prefix}${msg}${extra.length ? ` ${extra.join(' ')}` : ''}${context.length ? ` (${context.join(' ')})` : ''}`;
+}
+
+/**
+ * Logger with context fields attached to every entry
+ */
+class Logger {
+  /**
+   * @param {Object} [context] - Fields added to every entry (e.g., guildId, userId, sessionId)
+   */
+  constructor(context = {}) {
+    this.context = context;
+  }
+
+  /**
+   * Create a logger that adds more context fields
+   *
+   * @param {Object} context - Extra fields
+   * @returns {Logger} Child logger
+   */
+  child(context) {
+    return new Logger({ ...this.context, ...context });
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  /**
+   * Write one entry if its level is enabled
+   * Warnings and errors go to stderr, everything else to stdout
+   *
+   * @param {string} level - debug, info, warn or error
+   * @param {string} message - What happened
+   * @param {Object} [fields] - Extra fields, e.g. { error } or { email }
+   */
+  write(level, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+    const entry = { time: new Date().toISOString(), level, msg: prepareValue('msg', message) };
+    for (const [key, value] of Object.entries({ ...this.context, ...fields })) {
+      entry[key] = prepareValue(key, value);
+    }
+
+    const line = LOG_FORMAT === 'json' ? JSON.stringify(entry) : formatText(entry);
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+  }
+}
+
+const logger = new Logger();
+
+/**
+ * Logger tagged with a session's guild, user and session ID
+ *
+ * @param {Object} session - Onboarding session
+ * @returns {Logger} Session logger
+ */
+function forSession(session) {
+  return logger.child({ guildId: session.guildId, userId: session.userId, sessionId: session.sessionId });
+}
+
+/**
+ * Logger tagged with a member's guild and user ID
+ *
+ * @param {GuildMember} member - Guild member
+ * @returns {Logger} Member logger
+ */
+function forMember(member) {
+  return logger.child({ guildId: member.guild.id, userId: member.id });
+}
+
+if (LOG_DEBUG) {
+  logger.warn('⚠️  LOG_DEBUG is on: logs include unredacted personal details. Never enable this in production.');
+}
+
+module.exports = {
+  logger,
+  forSession,
+  forMember
+};
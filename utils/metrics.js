@@ -0,0 +1,184 @@
+/**
+ * Metrics Module
+ *
+ * Counters, gauges and histograms rendered in the Prometheus text format for
+ * the /metrics endpoint. Onboarding counts come from onboarding events, so
+ * the flow itself only reports what isn't an event (e.g., sheet write timing).
+ */
+
+const { onboardingEvents, EVENT_TYPES } = require('./onboardingEvents');
+
+// Upper bounds (seconds) for sheet write latency buckets
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = [];
+
+/**
+ * Render a label set as {name="value",...}
+ *
+ * @param {Object} labels - Label values
+ * @returns {string} Prometheus label string ('' when empty)
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Create a counter that only goes up
+ *
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @returns {{ inc: (labels?: Object, amount?: number) => void }} Counter
+ */
+function createCounter(name, help) {
+  const values = new Map();
+
+  registry.push(() => [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} counter`,
+    ...(values.size > 0 ? [...values].map(([labels, value]) => `${name}${labels} ${value}`) : [`${name} 0`])
+  ]);
+
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = formatLabels(labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    }
+  };
+}
+
+/**
+ * Create a gauge read from the bot's state whenever metrics are scraped
+ *
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {() => number} read - Returns the current value
+ */
+function createGauge(name, help, read) {
+  registry.push(() => [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} gauge`,
+    `${name} ${Number(read()) || 0}`
+  ]);
+}
+
+/**
+ * Create a histogram of observed values
+ *
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {number[]} buckets - Bucket upper bounds, ascending
+ * @returns {{ observe: (value: number) => void }} Histogram
+ */
+function createHistogram(name, help, buckets) {
+  const counts = buckets.map(() => 0);
+  let sum = 0;
+  let count = 0;
+
+  registry.push(() => [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} histogram`,
+    ...buckets.map((bound, index) => `${name}_bucket{le="${bound}"} ${counts[index]}`),
+    `${name}_bucket{le="+Inf"} ${count}`,
+    `${name}_sum ${sum}`,
+    `${name}_count ${count}`
+  ]);
+
+  return {
+    observe(value) {
+      buckets.forEach((bound, index) => {
+        if (value <= bound) counts[index]++;
+      });
+      sum += value;
+      count++;
+    }
+  };
+}
+
+const memberJoins = createCounter('onboarding_member_joins_total', 'Members who joined a guild');
+const attributionMisses = createCounter('onboarding_invite_attribution_misses_total', 'Joins whose invite could not be detected');
+const sessionsStarted = createCounter('onboarding_sessions_started_total', 'Onboarding sessions started');
+const sessionsCompleted = createCounter('onboarding_sessions_completed_total', 'Onboarding sessions completed');
+const sessionsAbandoned = createCounter('onboarding_sessions_abandoned_total', 'Onboarding sessions dropped before completing, by reason');
+const verifications = createCounter('onboarding_verifications_total', 'Roster verification attempts, by result');
+const sheetWriteErrors = createCounter('onboarding_sheet_write_errors_total', 'Failed Google Sheets writes');
+const sheetWriteDuration = createHistogram('onboarding_sheet_write_duration_seconds', 'Google Sheets write latency', LATENCY_BUCKETS);
+
+// Count onboarding events as they happen
+onboardingEvents.on('event', (event) => {
+  switch (event.type) {
+    case EVENT_TYPES.MEMBER_JOINED:
+      memberJoins.inc();
+      if (!event.invite) attributionMisses.inc();
+      break;
+    case EVENT_TYPES.ONBOARDING_STARTED:
+      sessionsStarted.inc();
+      break;
+    case EVENT_TYPES.ONBOARDING_COMPLETED:
+      sessionsCompleted.inc();
+      break;
+    case EVENT_TYPES.VERIFICATION_PASSED:
+      verifications.inc({ result: 'pass' });
+      break;
+    case EVENT_TYPES.VERIFICATION_FAILED:
+      verifications.inc({ result: 'fail' });
+      break;
+    case EVENT_TYPES.ONBOARDING_CANCELLED:
+      sessionsAbandoned.inc({ reason: 'cancelled' });
+      break;
+    case EVENT_TYPES.ONBOARDING_EXPIRED:
+      sessionsAbandoned.inc({ reason: 'expired' });
+      break;
+    case EVENT_TYPES.ONBOARDING_OVERDUE:
+      // Expired sessions were already counted when they expired
+      if (event.sessionOpen) sessionsAbandoned.inc({ reason: 'deadline' });
+      break;
+    case EVENT_TYPES.MEMBER_LEFT:
+      if (event.sessionOpen) sessionsAbandoned.inc({ reason: 'left' });
+      break;
+  }
+});
+
+/**
+ * Time a Google Sheets write, counting it as an error if it throws
+ *
+ * @param {() => Promise<*>} write - The write to run
+ * @returns {Promise<*>} The write's result
+ */
+async function timeSheetWrite(write) {
+  const start = process.hrtime.bigint();
+  try {
+    return await write();
+  } catch (error) {
+    sheetWriteErrors.inc();
+    throw error;
+  } finally {
+    sheetWriteDuration.observe(Number(process.hrtime.bigint() - start) / 1e9);
+  }
+}
+
+/**
+ * Report live values of the bot's state (sessions, gateway, outbox, ...) as gauges
+ *
+ * @param {Object} gauges - Gauge name -> { help, read }
+ */
+function registerGauges(gauges) {
+  for (const [name, { help, read }] of Object.entries(gauges)) {
+    createGauge(name, help, read);
+  }
+}
+
+/**
+ * @returns {string} Every metric in the Prometheus text exposition format
+ */
+function renderMetrics() {
+  return `${registry.flatMap(render => render()).join('\n')}\n`;
+}
+
+module.exports = {
+  timeSheetWrite,
+  registerGauges,
+  renderMetrics
+};
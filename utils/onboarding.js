@@ -1,62 +1,97 @@
 /**
  * Onboarding Handler Module
  *
- * Manages the user onboarding flow via DM
+ * Manages the user onboarding flow via DM, or in a private thread when DMs are closed
  */
 
-const { appendToSheet } = require('./sheets');
-const { isValidEmail, isValidPhone, isValidName, sanitizeInput } = require('./validators');
+const crypto = require('crypto');
+const { enqueueRecord } = require('./recordOutbox');
+const { sanitizeInput } = require('./validators');
 const { verifyPaidLearner } = require('./emailVerification');
+const { isOtpEnabled, issueCode, checkCode, canResend } = require('./emailOtp');
+const { isReviewEnabled, isUnderReview, submitForReview, closeReview, forwardToReview } = require('./reviewQueue');
+const { QUESTIONS, QUESTION_ORDER, ONBOARDING_MODE, SKIP_KEYWORD, formatQuestion } = require('./questions');
+const { buildOnboardingModal, buildCodeModal, readOnboardingForm } = require('./onboardingForm');
+const { getCourseName, resolveRole, resolveChannel } = require('./inviteMap');
+const { getRosterAccess, resolveOrCreateRole } = require('./programRoles');
+const { grantCourseAccess } = require('./courseAccess');
+const { registerLearner } = require('./learnerRegistry');
+const { openFallbackThread, getSessionChannel, closeFallbackThread } = require('./fallbackThread');
+const { EVENT_TYPES, emitOnboardingEvent } = require('./onboardingEvents');
+const { forSession, forMember } = require('./logger');
 
-// Onboarding questions
-const QUESTIONS = {
-  NAME: {
-    key: 'name',
-    question: 'Please enter your **full name**:',
-    validator: isValidName,
-    errorMessage: '❌ Please enter a valid name (at least 2 characters).'
-  },
-  EMAIL: {
-    key: 'email',
-    question: 'Great! Now, please enter your **email address**:',
-    validator: isValidEmail,
-    errorMessage: '❌ Please enter a valid email address (e.g., user@example.com).'
-  },
-  PHONE: {
-    key: 'phone',
-    question: 'Almost done! Please enter your **phone number**:',
-    validator: isValidPhone,
-    errorMessage: '❌ Please enter a valid phone number (10-15 digits).'
-  }
-};
+// Word users can type to get a new email verification code
+const RESEND_KEYWORD = 'resend';
+
+// Words users can type to go back one question, or to stop onboarding
+const BACK_KEYWORD = 'back';
+const CANCEL_KEYWORD = 'cancel';
+
+// Failed roster checks allowed before a lockout, and how long the lockout lasts
+const VERIFICATION_MAX_ATTEMPTS = Number(process.env.VERIFICATION_MAX_ATTEMPTS || 3);
+const VERIFICATION_LOCKOUT_MS = Number(process.env.VERIFICATION_LOCKOUT_MINUTES || 60) * 60 * 1000;
+
+// Where users are sent when they cannot verify themselves
+const SUPPORT_URL = process.env.SUPPORT_URL || 'https://shorturl.at/hbuuM';
+
+// Shown when a user messages after answering every question
+const USE_BUTTONS_HINT = '👆 Please use the buttons above to try again or edit your details.';
+
+// Shown in modal mode when a user messages before submitting the form
+const OPEN_FORM_HINT = '👆 Please click **Start Onboarding** above to fill in your details.';
 
-const QUESTION_ORDER = ['NAME', 'EMAIL', 'PHONE'];
+// Shown when a user messages while their answer summary is waiting for confirmation
+const CONFIRM_HINT = '👆 Please check your answers above, then click **Confirm** or edit anything that\'s wrong.';
+
+/**
+ * Build the welcome DM, listing one step per configured question
+ *
+ * @returns {string} Welcome message text
+ */
+function buildWelcomeMessage() {
+  const steps = QUESTION_ORDER
+    .map((key, index) => {
+      const question = QUESTIONS[key];
+      return `**Step ${index + 1}:** ${question.label}${question.required ? '' : ' (optional)'}`;
+    })
+    .join('\n');
+
+  const tips = ONBOARDING_MODE === 'modal'
+    ? ''
+    : `\n\n_Type \`${BACK_KEYWORD}\` to change your previous answer, or \`${CANCEL_KEYWORD}\` to stop at any time. You can check everything before it's submitted._`;
+
+  return `**Welcome to your learning journey!** 🎓\n\nWe're excited to have you here! To get started with your course and unlock access to your channel, we need to collect a few quick details.\n\n**Here's what we'll need:**\n${steps}${tips}\n\nReady? Click the button below to begin!`;
+}
 
 /**
  * Start the onboarding process for a new member
  *
  * @param {GuildMember} member - The new guild member
- * @param {string} channelName - The channel/course they joined from
- * @param {string} channelId - The channel ID to grant access to
+ * @param {Object} origin - Where the member joined from
+ * @param {string} origin.channelName - The invite's channel name
+ * @param {string} origin.channelId - The invite's channel ID (granted when no course is mapped)
+ * @param {Object} [origin.course] - Course mapped to the invite code, if any
+ * @param {string} [origin.attribution] - Invite detection confidence (high, medium, ambiguous, none)
+ * @param {Object[]} [origin.courseChoices] - Courses to pick from when the invite could not be detected
  * @param {Collection} sessions - Active onboarding sessions
  * @param {Client} client - Discord client
  */
-async function handleOnboarding(member, channelName, channelId, sessions, client) {
-  try {
-    // Check if DMs are open
-    const dm = await member.user.createDM().catch(() => null);
-    if (!dm) {
-      console.error(`❌ Could not create DM with ${member.user.tag} - DMs may be disabled`);
-      return;
-    }
+async function handleOnboarding(member, { channelName, channelId, course = null, attribution = null, courseChoices = [] }, sessions, client) {
+  let log = forMember(member);
 
+  try {
     // Initialize session
     const session = {
+      sessionId: crypto.randomUUID(), // Tags every log line for this onboarding attempt
       userId: member.id,
       username: member.user.tag, // Store Discord username (e.g., "username#1234")
       guildId: member.guild.id,
       channelName: channelName,
       channelId: channelId,
+      course: course,
+      attribution: attribution,
+      courseChoices: courseChoices.length > 0 ? courseChoices : null, // Cleared once the user picks a course
+      threadId: null, // Set when onboarding runs in a private thread because DMs are closed
       currentStep: 0,
       data: {},
       started: false, // Will be set to true when user clicks Start button
@@ -64,12 +99,13 @@ async function handleOnboarding(member, channelName, channelId, sessions, client
     };
 
     sessions.set(member.id, session);
-    console.log(`📝 Started onboarding session for ${member.user.tag}`);
+    log = forSession(session);
+    log.info(`📝 Started onboarding session for ${member.user.tag}`);
 
     // Send welcome message with Start button
     const { ButtonBuilder, ButtonStyle, ActionRowBuilder } = require('discord.js');
 
-    const welcomeMessage = `**Welcome to your learning journey!** 🎓\n\nWe're excited to have you here! To get started with your course and unlock access to your channel, we need to collect a few quick details.\n\n**Here's what we'll need:**\n**Step 1:** Your full name\n**Step 2:** Your email address\n**Step 3:** Your phone number\n\nReady? Click the button below to begin!`;
+    const welcomeMessage = buildWelcomeMessage();
 
     const startButton = new ButtonBuilder()
       .setCustomId('start_onboarding')
@@ -78,19 +114,162 @@ async function handleOnboarding(member, channelName, channelId, sessions, client
 
     const row = new ActionRowBuilder().addComponents(startButton);
 
-    await dm.send({
+    let channel = await member.user.createDM().catch(() => null);
+    const sentInDm = channel && await channel.send({
       content: welcomeMessage,
       components: [row]
-    }).catch((error) => {
-      console.error(`❌ Failed to send welcome message:`, error.message);
-      sessions.delete(member.id);
+    }).then(() => true).catch((error) => {
+      log.error('❌ Failed to send welcome message', { error });
+      return false;
     });
+
+    if (!sentInDm) {
+      // DMs are closed - run the same flow in a private thread only they can see
+      log.warn(`⚠️  Could not DM ${member.user.tag} - DMs may be disabled, falling back to a private thread`);
+      channel = await openFallbackThread(member);
+
+      if (!channel) {
+        sessions.delete(member.id);
+        emitOnboardingEvent(EVENT_TYPES.ONBOARDING_UNREACHABLE, {
+          session,
+          outcome: 'DMs are closed and no private onboarding thread could be opened'
+        });
+        return;
+      }
+
+      emitOnboardingEvent(EVENT_TYPES.DM_FAILED, { session, outcome: 'DMs are closed - onboarding in a private thread', details: { Thread: `<#${channel.id}>` } });
+
+      session.threadId = channel.id;
+      sessions.save();
+
+      await channel.send({
+        content: `${member} We couldn't send you a DM, so let's get you set up here instead. Only you and our team can see this thread.\n\n${welcomeMessage}`,
+        components: [row]
+      });
+    }
+
+    emitOnboardingEvent(EVENT_TYPES.ONBOARDING_STARTED, { session, outcome: sentInDm ? 'Welcome message sent' : 'Welcome message sent in a private thread' });
+
+    // We couldn't tell which invite they used - ask for their course up front
+    if (sessions.has(member.id) && isAwaitingCourse(session)) {
+      await sendCourseMenu(channel, session, 'Which course are you joining? Please pick it below.');
+    }
   } catch (error) {
-    console.error(`❌ Error in handleOnboarding:`, error.message);
+    log.error('❌ Error in handleOnboarding', { error });
     throw error;
   }
 }
 
+/**
+ * Check whether the session is waiting for the user to pick their course
+ *
+ * @param {Object} session - Onboarding session
+ * @returns {boolean} True if the course could not be detected and hasn't been picked yet
+ */
+function isAwaitingCourse(session) {
+  return Array.isArray(session.courseChoices) && session.courseChoices.length > 0;
+}
+
+/**
+ * Send a menu of the session's course choices
+ *
+ * @param {TextBasedChannel} channel - User's DM channel
+ * @param {Object} session - Onboarding session awaiting a course pick
+ * @param {string} prompt - Message shown above the menu
+ */
+async function sendCourseMenu(channel, session, prompt) {
+  const { StringSelectMenuBuilder, ActionRowBuilder } = require('discord.js');
+
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId('course_select')
+    .setPlaceholder('Select your course')
+    .addOptions(session.courseChoices.slice(0, 25).map(choice => ({
+      label: (choice.course ? choice.course.name : `#${choice.channelName}`).slice(0, 100),
+      value: choice.code
+    })));
+
+  await channel.send({
+    content: `🎓 ${prompt}`,
+    components: [new ActionRowBuilder().addComponents(menu)]
+  });
+}
+
+/**
+ * Handle the course picked from the course menu
+ * Continues to verification if the user already answered every question
+ *
+ * @param {StringSelectMenuInteraction} interaction - Select menu interaction
+ * @param {Object} session - Onboarding session
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {Client} client - Discord client
+ */
+async function handleCourseSelect(interaction, session, sessions, client) {
+  const choice = isAwaitingCourse(session) && session.courseChoices.find(option => option.code === interaction.values[0]);
+
+  if (!choice) {
+    await interaction.reply({ content: 'ℹ️ Your course is already set.', ephemeral: true });
+    return;
+  }
+
+  session.course = choice.course;
+  session.channelName = choice.channelName;
+  session.channelId = choice.channelId;
+  session.attribution = 'user';
+  session.courseChoices = null;
+  sessions.save();
+
+  const courseName = getCourseName(session);
+  forSession(session).info(`🎓 ${session.username} picked course: ${courseName}`);
+  await interaction.update({ content: `🎓 Course: **${courseName}**`, components: [] });
+
+  // They were held after confirming their answers until a course was picked
+  if (session.started && session.confirmed && !isAwaitingCode(session)) {
+    const channel = await getSessionChannel(client, session);
+    await finalizeOnboarding(channel, session, sessions, client);
+  }
+}
+
+/**
+ * Resume an onboarding session restored after a restart
+ * Users who already clicked Start are re-sent their current question;
+ * users who haven't can still use the Start button from the welcome DM.
+ *
+ * @param {Object} session - Restored onboarding session
+ * @param {Client} client - Discord client
+ */
+async function resumeOnboarding(session, client) {
+  const log = forSession(session);
+
+  if (!session.started) {
+    log.info(`⏸️  Restored onboarding session for ${session.username} (waiting for Start)`);
+    return;
+  }
+
+  try {
+    const channel = await getSessionChannel(client, session);
+    let prompt;
+    if (isAwaitingCode(session)) {
+      prompt = `Please enter the 6-digit code we emailed to **${session.otp.email}**, or type \`${RESEND_KEYWORD}\` to get a new one.`;
+    } else if (isAwaitingConfirmation(session)) {
+      await channel.send('👋 Sorry for the interruption! Let\'s pick up where we left off.');
+      await sendSummary(channel, session);
+      log.info(`🔄 Resumed onboarding for ${session.username} at the answer summary`);
+      return;
+    } else if (session.currentStep >= QUESTION_ORDER.length) {
+      prompt = USE_BUTTONS_HINT;
+    } else if (ONBOARDING_MODE === 'modal') {
+      prompt = OPEN_FORM_HINT;
+    } else {
+      prompt = formatQuestion(QUESTIONS[QUESTION_ORDER[session.currentStep]]);
+    }
+
+    await channel.send(`👋 Sorry for the interruption! Let's pick up where we left off.\n\n${prompt}`);
+    log.info(`🔄 Resumed onboarding for ${session.username} at step ${session.currentStep + 1}`);
+  } catch (error) {
+    log.error(`❌ Failed to resume onboarding for ${session.username}`, { error });
+  }
+}
+
 /**
  * Handle user responses during onboarding
  *
@@ -100,180 +279,1071 @@ async function handleOnboarding(member, channelName, channelId, sessions, client
  * @param {Client} client - Discord client
  */
 async function handleResponse(message, session, sessions, client) {
+  // Moderators are reviewing this user - pass their messages on
+  if (isUnderReview(session)) {
+    await forwardToReview(message, session, client);
+    return;
+  }
+
+  const keyword = sanitizeInput(message.content).toLowerCase();
+
+  if (keyword === CANCEL_KEYWORD) {
+    await cancelOnboarding(message.channel, session, sessions, client);
+    return;
+  }
+
+  // A verification code is pending - "back" changes the email address, anything else is the code
+  if (isAwaitingCode(session)) {
+    if (keyword === BACK_KEYWORD && ONBOARDING_MODE !== 'modal') {
+      await changeEmail(message.channel, session, sessions);
+    } else {
+      await handleCodeResponse(message, session, sessions, client);
+    }
+    return;
+  }
+
+  if (keyword === BACK_KEYWORD && ONBOARDING_MODE !== 'modal') {
+    await goBack(message.channel, session, sessions);
+    return;
+  }
+
+  // Every question is answered - waiting for confirmation, or on a failed verification
+  if (session.currentStep >= QUESTION_ORDER.length) {
+    await message.channel.send(isAwaitingConfirmation(session) ? CONFIRM_HINT : USE_BUTTONS_HINT);
+    return;
+  }
+
+  // Answers only come from the form in modal mode
+  if (ONBOARDING_MODE === 'modal') {
+    await message.channel.send(OPEN_FORM_HINT);
+    return;
+  }
+
   const currentQuestionKey = QUESTION_ORDER[session.currentStep];
   const currentQuestion = QUESTIONS[currentQuestionKey];
 
   // Sanitize and validate input
   const userInput = sanitizeInput(message.content);
+  const skipped = !currentQuestion.required && userInput.toLowerCase() === SKIP_KEYWORD;
+  const answer = skipped ? '' : currentQuestion.parse(userInput);
 
-  if (!currentQuestion.validator(userInput)) {
+  if (answer === null) {
     await message.channel.send(currentQuestion.errorMessage);
     return;
   }
 
   // Store the validated data
-  session.data[currentQuestion.key] = userInput;
-  console.log(`   ✓ ${currentQuestion.key}: ${userInput}`);
+  const emailChanged = currentQuestion.key === 'email' && answer !== session.data.email;
+  session.data[currentQuestion.key] = answer;
+  session.confirmed = false;
+  forSession(session).info(`✓ ${currentQuestion.key} answered`, { answers: { [currentQuestion.key]: skipped ? '(skipped)' : answer } });
+
+  // Move to next step, or straight back to the summary after editing an answer
+  if (session.editing) {
+    session.editing = false;
+    session.currentStep = QUESTION_ORDER.length;
+  } else {
+    session.currentStep++;
+  }
+  sessions.save();
+
+  // Confirm ownership of the email address before continuing (again only if it changed)
+  if (currentQuestion.key === 'email' && isOtpEnabled() && (emailChanged || !(session.otp && session.otp.verified))) {
+    session.otp = null;
+    await sendVerificationCode(message.channel, session, sessions);
+    return;
+  }
+
+  await askNextQuestion(message.channel, session, sessions, client);
+}
+
+/**
+ * Go back one question, or back to the summary when editing a single answer
+ *
+ * @param {TextBasedChannel} channel - User's DM channel
+ * @param {Object} session - Onboarding session
+ * @param {Collection} sessions - Active onboarding sessions
+ */
+async function goBack(channel, session, sessions) {
+  // Keep the current answer and go back to the summary
+  if (session.editing) {
+    session.editing = false;
+    session.confirmed = false;
+    session.currentStep = QUESTION_ORDER.length;
+    sessions.save();
+    await sendSummary(channel, session);
+    return;
+  }
+
+  if (session.currentStep >= QUESTION_ORDER.length) {
+    // Confirmed answers are waiting on verification buttons
+    if (session.confirmed) {
+      await channel.send(USE_BUTTONS_HINT);
+      return;
+    }
+    await askQuestionAgain(channel, session, sessions, QUESTION_ORDER[QUESTION_ORDER.length - 1]);
+    return;
+  }
+
+  if (session.currentStep === 0) {
+    await channel.send(`ℹ️ This is the first question.\n\n${formatQuestion(QUESTIONS[QUESTION_ORDER[0]])}`);
+    return;
+  }
+
+  session.currentStep--;
+  sessions.save();
+  await channel.send(formatQuestionWithAnswer(session, QUESTION_ORDER[session.currentStep]));
+}
+
+/**
+ * Drop the pending verification code and ask for the email address again (DM mode)
+ * Returns to the summary afterwards only if every question was already answered
+ *
+ * @param {TextBasedChannel} channel - User's DM channel
+ * @param {Object} session - Onboarding session with a pending code
+ * @param {Collection} sessions - Active onboarding sessions
+ */
+async function changeEmail(channel, session, sessions) {
+  session.otp = null;
+  forSession(session).info(`✏️  ${session.username} is changing their email`);
+
+  if (session.currentStep >= QUESTION_ORDER.length) {
+    await askQuestionAgain(channel, session, sessions, 'email');
+    return;
+  }
+
+  session.currentStep = QUESTION_ORDER.indexOf('email');
+  sessions.save();
+  await channel.send(formatQuestionWithAnswer(session, 'email'));
+}
+
+/**
+ * Render a question along with the answer the user already gave
+ *
+ * @param {Object} session - Onboarding session
+ * @param {string} key - Question key
+ * @returns {string} Message text
+ */
+function formatQuestionWithAnswer(session, key) {
+  const prompt = formatQuestion(QUESTIONS[key]);
+  if (!(key in session.data)) {
+    return prompt;
+  }
+  return `${prompt}\n_Your current answer: **${session.data[key] || '(skipped)'}**_`;
+}
+
+/**
+ * Ask one question again, then return to the summary once it's answered
+ *
+ * @param {TextBasedChannel} channel - User's DM channel
+ * @param {Object} session - Onboarding session
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {string} key - Question to ask again
+ */
+async function askQuestionAgain(channel, session, sessions, key) {
+  session.editing = true;
+  session.currentStep = QUESTION_ORDER.indexOf(key);
+  sessions.save();
+
+  await channel.send(`${formatQuestionWithAnswer(session, key)}\n_Type \`${BACK_KEYWORD}\` to keep your current answer._`);
+}
+
+/**
+ * Check whether the session is waiting for the user to confirm their answers
+ *
+ * @param {Object} session - Onboarding session
+ * @returns {boolean} True if every question is answered but not yet confirmed
+ */
+function isAwaitingConfirmation(session) {
+  return session.started && session.currentStep >= QUESTION_ORDER.length && !session.confirmed && !isAwaitingCode(session);
+}
+
+/**
+ * Show every answer with Edit buttons and a Confirm button
+ * Nothing is verified or saved until the user confirms
+ *
+ * @param {TextBasedChannel} channel - User's DM channel
+ * @param {Object} session - Onboarding session with every question answered
+ */
+async function sendSummary(channel, session) {
+  const { ButtonBuilder, ButtonStyle, ActionRowBuilder, EmbedBuilder } = require('discord.js');
+
+  const embed = new EmbedBuilder()
+    .setTitle('📋 Please check your details')
+    .setDescription('Make sure everything is correct before submitting. We use your email and phone to find your enrollment.')
+    .setColor(0x3498db)
+    .addFields(QUESTION_ORDER.map(key => ({
+      name: QUESTIONS[key].column,
+      value: session.data[key] || '_(skipped)_',
+      inline: true
+    })));
+
+  if (!isAwaitingCourse(session) && session.course) {
+    embed.addFields({ name: 'Course', value: getCourseName(session) });
+  }
+
+  // Modal mode edits every answer in the form; DM mode asks one question again
+  const editButtons = ONBOARDING_MODE === 'modal'
+    ? [new ButtonBuilder().setCustomId('onboarding_form_open').setLabel('Edit Details').setStyle(ButtonStyle.Secondary)]
+    : QUESTION_ORDER.map(key => new ButtonBuilder()
+      .setCustomId(`summary_edit:${key}`)
+      .setLabel(`Edit ${QUESTIONS[key].column}`.slice(0, 80))
+      .setStyle(ButtonStyle.Secondary));
+
+  // Discord allows 5 buttons per row and 5 rows; the last row holds Confirm
+  const rows = [];
+  for (let index = 0; index < editButtons.length && rows.length < 4; index += 5) {
+    rows.push(new ActionRowBuilder().addComponents(editButtons.slice(index, index + 5)));
+  }
+  rows.push(new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('onboarding_confirm').setLabel('Confirm').setStyle(ButtonStyle.Success)
+  ));
+
+  await channel.send({
+    content: `Type \`${CANCEL_KEYWORD}\` if you'd like to stop instead.`,
+    embeds: [embed],
+    components: rows
+  });
+}
+
+/**
+ * Handle the Confirm and Edit buttons on the answer summary
+ *
+ * @param {ButtonInteraction} interaction - Button interaction
+ * @param {Object} session - Onboarding session
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {Client} client - Discord client
+ */
+async function handleSummaryButton(interaction, session, sessions, client) {
+  if (!isAwaitingConfirmation(session)) {
+    await interaction.reply({ content: 'ℹ️ These answers have already been submitted or changed.', ephemeral: true });
+    return;
+  }
+
+  // Remove the buttons so the summary can only be used once
+  await interaction.update({ components: [] });
+  const channel = await getSessionChannel(client, session);
+
+  if (interaction.customId === 'onboarding_confirm') {
+    session.confirmed = true;
+    sessions.save();
+    forSession(session).info(`☑️  ${session.username} confirmed their answers`);
+    await finalizeOnboarding(channel, session, sessions, client);
+    return;
+  }
+
+  // "summary_edit:<question key>"
+  const key = interaction.customId.split(':')[1];
+  forSession(session).info(`✏️  ${session.username} is editing their ${key} from the summary`);
+  await askQuestionAgain(channel, session, sessions, key);
+}
+
+/**
+ * Stop onboarding at the user's request and discard their answers
+ *
+ * @param {TextBasedChannel} channel - User's DM channel
+ * @param {Object} session - Onboarding session
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {Client} client - Discord client
+ */
+async function cancelOnboarding(channel, session, sessions, client) {
+  sessions.delete(session.userId);
+  forSession(session).info(`🛑 ${session.username} cancelled their onboarding`);
+  emitOnboardingEvent(EVENT_TYPES.ONBOARDING_CANCELLED, { session, outcome: 'Cancelled by the member' });
+
+  await channel.send('🛑 **Onboarding cancelled.** Your answers have been discarded.\n\nIf you change your mind, ask a moderator to restart your onboarding, or leave and rejoin the server.');
+  await closeFallbackThread(client, session, { delay: true });
+}
+
+/**
+ * Send the user a button that re-opens the onboarding form
+ *
+ * @param {TextBasedChannel} channel - User's DM channel
+ * @param {string} content - Message explaining what needs fixing
+ */
+async function sendFormRetry(channel, content) {
+  const { ButtonBuilder, ButtonStyle, ActionRowBuilder } = require('discord.js');
+
+  const fixButton = new ButtonBuilder()
+    .setCustomId('onboarding_form_open')
+    .setLabel('Fix My Details')
+    .setStyle(ButtonStyle.Primary);
+
+  await channel.send({
+    content,
+    components: [new ActionRowBuilder().addComponents(fixButton)]
+  });
+}
+
+/**
+ * Open the onboarding form (modal mode), pre-filled with the user's last answers
+ *
+ * @param {ButtonInteraction} interaction - Start, Fix My Details or Edit button
+ * @param {Object} session - Onboarding session
+ * @param {Collection} sessions - Active onboarding sessions
+ */
+async function openOnboardingForm(interaction, session, sessions) {
+  if (isUnderReview(session) || isAwaitingCode(session)) {
+    await interaction.reply({ content: 'ℹ️ Your details have already been submitted.', ephemeral: true });
+    return;
+  }
+
+  if (!session.started) {
+    session.started = true;
+    sessions.save();
+  }
+
+  await interaction.showModal(buildOnboardingModal(session));
+}
+
+/**
+ * Handle a submitted onboarding form: validate every answer, then verify
+ * Invalid answers are kept so the form re-opens with them and their error messages
+ *
+ * @param {ModalSubmitInteraction} interaction - Form submission
+ * @param {Object} session - Onboarding session
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {Client} client - Discord client
+ */
+async function handleFormSubmit(interaction, session, sessions, client) {
+  const { answers, values, errors } = readOnboardingForm(interaction.fields);
+  const channel = await getSessionChannel(client, session);
+  const invalid = Object.keys(errors);
+
+  if (invalid.length > 0) {
+    session.form = { values, errors };
+    sessions.save();
+
+    forSession(session).info(`✗ ${session.username} submitted the form with invalid ${invalid.join(', ')}`);
+    await interaction.deferUpdate();
+    await sendFormRetry(channel, `${invalid.map(key => errors[key]).join('\n')}\n\nClick the button below to fix your details. Your other answers are saved.`);
+    return;
+  }
+
+  // Remove the button the form was opened from
+  await interaction.update({ components: [] });
+
+  const emailChanged = answers.email !== session.data.email;
+  session.data = answers;
+  session.form = null;
+  session.editing = false;
+  session.confirmed = false;
+  session.currentStep = QUESTION_ORDER.length;
+  if (emailChanged) {
+    session.otp = null;
+  }
+  sessions.save();
+
+  forSession(session).info('✓ Form submitted', { answers });
+
+  // Confirm ownership of the email address before continuing
+  if (isOtpEnabled() && !(session.otp && session.otp.verified)) {
+    await sendVerificationCode(channel, session, sessions);
+    return;
+  }
+
+  await sendSummary(channel, session);
+}
+
+/**
+ * Open the verification code form (modal mode)
+ *
+ * @param {ButtonInteraction} interaction - Enter Code button
+ * @param {Object} session - Onboarding session
+ */
+async function openCodeForm(interaction, session) {
+  if (!isAwaitingCode(session)) {
+    await interaction.reply({ content: 'ℹ️ There is no pending verification code for you.', ephemeral: true });
+    return;
+  }
+
+  await interaction.showModal(buildCodeModal());
+}
+
+/**
+ * Handle a verification code entered in the code form
+ *
+ * @param {ModalSubmitInteraction} interaction - Code form submission
+ * @param {Object} session - Onboarding session
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {Client} client - Discord client
+ */
+async function handleCodeSubmit(interaction, session, sessions, client) {
+  await interaction.deferUpdate();
+
+  if (!isAwaitingCode(session)) return;
 
-  // Move to next step
-  session.currentStep++;
+  const channel = await getSessionChannel(client, session);
+  await checkVerificationCode(channel, sanitizeInput(interaction.fields.getTextInputValue('code')), session, sessions, client);
+}
 
-  // Check if there are more questions
+/**
+ * Ask the next question, or finalize once every question is answered
+ *
+ * @param {TextBasedChannel} channel - User's DM channel
+ * @param {Object} session - Current onboarding session
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {Client} client - Discord client
+ */
+async function askNextQuestion(channel, session, sessions, client) {
   if (session.currentStep < QUESTION_ORDER.length) {
     const nextQuestionKey = QUESTION_ORDER[session.currentStep];
     const nextQuestion = QUESTIONS[nextQuestionKey];
-    await message.channel.send(nextQuestion.question);
+    await channel.send(formatQuestion(nextQuestion));
+  } else if (!session.confirmed) {
+    // All questions answered - let the user check them before anything is submitted
+    await sendSummary(channel, session);
+  } else {
+    await finalizeOnboarding(channel, session, sessions, client);
+  }
+}
+
+/**
+ * Check whether the session is waiting for an email verification code
+ *
+ * @param {Object} session - Onboarding session
+ * @returns {boolean} True if a code has been sent but not confirmed
+ */
+function isAwaitingCode(session) {
+  return Boolean(session.otp && !session.otp.verified);
+}
+
+/**
+ * Email a verification code to the address in the session and prompt for it
+ * If the email cannot be sent, the user is asked for their email address again
+ *
+ * @param {TextBasedChannel} channel - User's DM channel
+ * @param {Object} session - Current onboarding session
+ * @param {Collection} sessions - Active onboarding sessions
+ */
+async function sendVerificationCode(channel, session, sessions) {
+  try {
+    await issueCode(session, session.data.email);
+    sessions.save();
+  } catch (error) {
+    forSession(session).error('❌ Failed to send verification code', { email: session.data.email, error });
+    emitOnboardingEvent(EVENT_TYPES.CODE_SEND_FAILED, { session, outcome: error.message, details: { Email: session.data.email } });
+
+    // Go back to the email question so the user can try another address
+    session.otp = null;
+
+    if (ONBOARDING_MODE === 'modal') {
+      session.currentStep = 0;
+      session.form = { values: { ...session.data }, errors: { email: '❌ We couldn\'t send a verification code to this address.' } };
+      sessions.save();
+      await sendFormRetry(channel, '⚠️ We couldn\'t send a verification code to that address. Please check it and try again.');
+      return;
+    }
+
+    session.currentStep = QUESTION_ORDER.indexOf('email');
+    sessions.save();
+
+    await channel.send(`⚠️ We couldn't send a verification code to that address.\n\n${formatQuestion(QUESTIONS.email)}`);
+    return;
+  }
+
+  const { ButtonBuilder, ButtonStyle, ActionRowBuilder } = require('discord.js');
+
+  const resendButton = new ButtonBuilder()
+    .setCustomId('resend_otp')
+    .setLabel('Resend Code')
+    .setStyle(ButtonStyle.Secondary);
+
+  const changeButton = new ButtonBuilder()
+    .setCustomId('verification_edit:email')
+    .setLabel('Change Email')
+    .setStyle(ButtonStyle.Secondary);
+
+  const row = new ActionRowBuilder();
+  let instructions = `Please type the code here to confirm your email address. Didn't get it? Check your spam folder, or type \`${RESEND_KEYWORD}\` (or click the button below) to get a new code. Wrong address? Type \`${BACK_KEYWORD}\` or click **Change Email**.`;
+
+  if (ONBOARDING_MODE === 'modal') {
+    const enterButton = new ButtonBuilder()
+      .setCustomId('otp_enter')
+      .setLabel('Enter Code')
+      .setStyle(ButtonStyle.Primary);
+    row.addComponents(enterButton);
+    instructions = 'Click **Enter Code** below to confirm your email address. Didn\'t get it? Check your spam folder, or click **Resend Code** to get a new one. Wrong address? Click **Change Email**.';
+  }
+
+  row.addComponents(resendButton, changeButton);
+
+  await channel.send({
+    content: `📧 We've sent a **6-digit verification code** to **${session.data.email}**.\n\n${instructions}`,
+    components: [row]
+  });
+}
+
+/**
+ * Send a new verification code if the resend limit and cooldown allow it
+ *
+ * @param {TextBasedChannel} channel - User's DM channel
+ * @param {Object} session - Onboarding session with a pending code
+ * @param {Collection} sessions - Active onboarding sessions
+ */
+async function resendVerificationCode(channel, session, sessions) {
+  const resend = canResend(session);
+
+  if (resend.allowed) {
+    await sendVerificationCode(channel, session, sessions);
+  } else if (resend.reason === 'cooldown') {
+    await channel.send(`⏳ Please wait ${resend.waitSeconds} seconds before requesting a new code.`);
   } else {
-    // All questions answered - finalize onboarding
-    await finalizeOnboarding(message, session, sessions, client);
+    forSession(session).warn(`⚠️  ${session.username} reached the verification code resend limit`);
+    await channel.send('🚫 You have reached the maximum number of codes. Please contact an administrator for help.');
+  }
+}
+
+/**
+ * Handle a message sent while a verification code is pending
+ *
+ * @param {Message} message - User's DM message
+ * @param {Object} session - Onboarding session with a pending code
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {Client} client - Discord client
+ */
+async function handleCodeResponse(message, session, sessions, client) {
+  const userInput = sanitizeInput(message.content);
+
+  if (userInput.toLowerCase() === RESEND_KEYWORD) {
+    await resendVerificationCode(message.channel, session, sessions);
+    return;
+  }
+
+  await checkVerificationCode(message.channel, userInput, session, sessions, client);
+}
+
+/**
+ * Check a verification code typed in a message or entered in the code form
+ *
+ * @param {TextBasedChannel} channel - User's DM channel
+ * @param {string} code - Code entered by the user
+ * @param {Object} session - Onboarding session with a pending code
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {Client} client - Discord client
+ */
+async function checkVerificationCode(channel, code, session, sessions, client) {
+  const result = checkCode(session, code);
+  sessions.save();
+
+  const resendHint = ONBOARDING_MODE === 'modal' ? 'Click **Resend Code** above' : `Type \`${RESEND_KEYWORD}\``;
+
+  switch (result.status) {
+    case 'verified':
+      forSession(session).info('✓ Email verified by code', { email: session.data.email });
+      await channel.send('✅ Email verified!');
+      await askNextQuestion(channel, session, sessions, client);
+      break;
+    case 'invalid':
+      await channel.send(`❌ That code is incorrect. You have ${result.attemptsLeft} attempt(s) left.`);
+      break;
+    case 'expired':
+      await channel.send(`⌛ That code has expired. ${resendHint} to get a new one.`);
+      break;
+    case 'locked':
+      forSession(session).warn(`⚠️  ${session.username} used all verification code attempts`);
+      await channel.send(`🔒 Too many incorrect attempts. ${resendHint} to get a new code.`);
+      break;
   }
 }
 
 /**
  * Finalize the onboarding process
  *
- * @param {Message} message - User's last message
+ * @param {TextBasedChannel} channel - User's DM channel
  * @param {Object} session - Completed onboarding session
  * @param {Collection} sessions - Active onboarding sessions
  * @param {Client} client - Discord client
  */
-async function finalizeOnboarding(message, session, sessions, client) {
-  try {
-    await message.channel.send('⏳ Processing your information...');
+async function finalizeOnboarding(channel, session, sessions, client) {
+  const log = forSession(session);
 
-    // Verify if the user is a paid learner
-    console.log(`🔍 Verifying email: ${session.data.email}...`);
-    const verificationResult = verifyPaidLearner(session.data.email);
+  // Never finalize without a confirmed email when verification codes are enabled
+  if (isOtpEnabled() && !(session.otp && session.otp.verified)) {
+    log.warn(`⚠️  Refusing to finalize ${session.username} - email not verified by code`);
+    await sendVerificationCode(channel, session, sessions);
+    return;
+  }
 
-    if (!verificationResult.isVerified) {
-      // User is not a paid learner - deny access
-      console.log(`❌ Access denied for ${session.userId} - not a paid learner`);
+  // Users who used up their attempts must wait for the lockout to end
+  if (session.lockedUntil && Date.now() < session.lockedUntil) {
+    const minutesLeft = Math.ceil((session.lockedUntil - Date.now()) / 60000);
+    await channel.send(`🔒 Too many failed attempts. Please try again in ${minutesLeft} minute(s), or contact support.`);
+    return;
+  }
 
-      await message.channel.send(
-        `Hi there! 👋\n\nThe email ID or phone number you entered doesn't match our Scaler records.\n\nPlease double-check and share your registered details with me again.\n\nIf you're still having trouble, please contact our support team through your dashboard for a quick fix! Guide: https://shorturl.at/hbuuM`
-      );
+  try {
+    await channel.send('⏳ Processing your information...');
 
-      // Clean up session
-      sessions.delete(session.userId);
+    // Verify if the user is a paid learner (by email or phone)
+    log.info('🔍 Verifying learner', { email: session.data.email, phone: session.data.phone });
+    const verificationResult = verifyPaidLearner({
+      email: session.data.email,
+      phone: session.data.phone,
+      name: session.data.name,
+      verifiedEmail: isOtpEnabled() ? session.otp.email : null
+    }, log);
+
+    if (!verificationResult.isVerified) {
+      // User is not a paid learner - keep the session so they can retry
+      log.info(`❌ Access denied for ${session.userId} - not a paid learner`);
+      emitOnboardingEvent(EVENT_TYPES.VERIFICATION_FAILED, {
+        session,
+        outcome: `Not verified against the paid learner roster (${verificationResult.matchReason})`,
+        details: { Email: session.data.email, Phone: session.data.phone, Attempt: (session.failedVerifications || 0) + 1 }
+      });
+      await handleFailedVerification(channel, session, sessions, client);
       return;
     }
 
     // User is verified - continue with onboarding
-    console.log(`✅ Email verified: ${session.data.email} is a paid learner`);
-    console.log(`   Name from database: ${verificationResult.learnerData.name}`);
-    console.log(`   Program: ${verificationResult.learnerData.program}`);
-    console.log(`   Batch: ${verificationResult.learnerData.batch}`);
-
-    // Prepare data for Google Sheets
-    const sheetData = {
-      name: session.data.name,
+    log.info(`✅ Verified by ${verificationResult.matchReason}: paid learner`, {
       email: session.data.email,
-      phone: session.data.phone,
-      discordUsername: session.username,
-      channel: session.channelName
+      rosterName: verificationResult.learnerData.name,
+      program: verificationResult.learnerData.program,
+      batch: verificationResult.learnerData.batch
+    });
+    emitOnboardingEvent(EVENT_TYPES.VERIFICATION_PASSED, {
+      session,
+      outcome: `Matched by ${verificationResult.matchReason}${verificationResult.flagged ? ' (flagged)' : ''}`,
+      details: { Email: session.data.email, Program: verificationResult.learnerData.program, Batch: verificationResult.learnerData.batch }
+    });
+
+    session.verification = {
+      matchReason: verificationResult.matchReason,
+      flagged: verificationResult.flagged,
+      program: verificationResult.learnerData.program,
+      batch: verificationResult.learnerData.batch
     };
+    applyRosterCourse(session);
+    sessions.save();
 
-    console.log(`📊 Saving data to Google Sheets for user ${session.userId}...`);
+    // On the roster, but under a different name: a moderator decides before access is granted
+    if (verificationResult.flagged && isReviewEnabled()) {
+      const reason = `Verified by ${verificationResult.matchReason}; roster name is "${verificationResult.learnerData.name}"`;
+      if (!await submitForReview(session, sessions, client, reason)) {
+        throw new Error('Could not send the name mismatch for review');
+      }
+      await channel.send('🔎 We found your registration, but the name you entered doesn\'t match our records. **Our team will double-check your details** before giving you access, and you\'ll hear back right here.');
+      return;
+    }
+
+    // The course decides the channels, so it must be known before finishing
+    if (isAwaitingCourse(session)) {
+      await sendCourseMenu(channel, session, 'Almost done! Which course are you joining? Please pick it below.');
+      return;
+    }
 
-    // Save to Google Sheets
-    await appendToSheet(sheetData);
+    await completeOnboarding(channel, session, sessions, client);
+  } catch (error) {
+    log.error('❌ Error finalizing onboarding', { error });
+    emitOnboardingEvent(EVENT_TYPES.ONBOARDING_FAILED, { session, outcome: `${error.message} - session kept so they can try again` });
 
-    // Get the guild and member
-    const guild = client.guilds.cache.get(session.guildId);
-    if (!guild) {
-      throw new Error('Guild not found');
+    // Notify user of error and let them retry
+    const { ButtonBuilder, ButtonStyle, ActionRowBuilder } = require('discord.js');
+    const retryButton = new ButtonBuilder()
+      .setCustomId('verification_retry')
+      .setLabel('Try Again')
+      .setStyle(ButtonStyle.Primary);
+
+    await channel.send({
+      content: '❌ An error occurred while saving your information. Please try again, or contact an administrator for assistance.',
+      components: [new ActionRowBuilder().addComponents(retryButton)]
+    }).catch(() => {});
+
+    // Keep session active for potential retry
+    log.error('Session kept active for potential manual intervention');
+  }
+}
+
+/**
+ * Let the learner's roster program and batch decide their course and channels
+ * The roster is the source of truth, so it wins over the invite when they disagree
+ *
+ * @param {Object} session - Verified onboarding session
+ */
+function applyRosterCourse(session) {
+  const access = getRosterAccess(session.verification);
+  const inviteCourse = getCourseName(session);
+
+  if (access.course && access.course !== inviteCourse) {
+    if (session.course || session.channelId) {
+      forSession(session).warn(`⚠️  Roster course "${access.course}" overrides invite course "${inviteCourse}" for ${session.username}`);
     }
+    session.course = { code: null, name: access.course, roles: [], channels: access.channels };
+  } else if (access.channels.length > 0) {
+    session.course = { ...(session.course || { code: null, name: session.channelName, roles: [] }), channels: access.channels };
+  } else if (!access.course) {
+    return;
+  }
 
-    const member = await guild.members.fetch(session.userId);
-    if (!member) {
-      throw new Error('Member not found');
+  // No need to ask which course they're joining
+  session.courseChoices = null;
+}
+
+/**
+ * Handle a failed roster check: offer a retry or an edit, and lock the
+ * user out with a support link once they run out of attempts
+ *
+ * @param {TextBasedChannel} channel - User's DM channel
+ * @param {Object} session - Onboarding session that failed verification
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {Client} client - Discord client
+ */
+async function handleFailedVerification(channel, session, sessions, client) {
+  const { ButtonBuilder, ButtonStyle, ActionRowBuilder } = require('discord.js');
+
+  session.failedVerifications = (session.failedVerifications || 0) + 1;
+  const attemptsLeft = VERIFICATION_MAX_ATTEMPTS - session.failedVerifications;
+
+  const supportButton = new ButtonBuilder()
+    .setLabel('Contact Support')
+    .setStyle(ButtonStyle.Link)
+    .setURL(SUPPORT_URL);
+
+  if (attemptsLeft <= 0) {
+    // Out of attempts - lock out and escalate to support
+    session.failedVerifications = 0;
+    session.lockedUntil = Date.now() + VERIFICATION_LOCKOUT_MS;
+    sessions.save();
+    forSession(session).warn(`🔒 ${session.username} locked out of verification until ${new Date(session.lockedUntil).toISOString()}`);
+    emitOnboardingEvent(EVENT_TYPES.VERIFICATION_LOCKED, {
+      session,
+      outcome: `Used all ${VERIFICATION_MAX_ATTEMPTS} verification attempts${isReviewEnabled() ? ' - sent for manual review' : ''}`,
+      details: { 'Locked until': `<t:${Math.floor(session.lockedUntil / 1000)}:f>` }
+    });
+
+    // With a review channel, moderators take over instead of leaving the user stuck
+    if (isReviewEnabled() && await submitForReview(session, sessions, client, 'Not found in roster after all verification attempts')) {
+      await channel.send({
+        content: `We still couldn't find your details in our Scaler records. 😔\n\nDon't worry: recent payments can take a day or two to show up. **We've sent your details to our team for a manual review**, and you'll hear back right here. Feel free to reply with anything that might help, such as your payment reference.`,
+        components: [new ActionRowBuilder().addComponents(supportButton)]
+      });
+      return;
     }
 
-    // Assign "Learner" role
-    const roleName = process.env.LEARNER_ROLE_NAME || 'Learner';
-    const role = guild.roles.cache.find(r => r.name === roleName);
+    const retryLaterButton = new ButtonBuilder()
+      .setCustomId('verification_retry')
+      .setLabel('Try Again Later')
+      .setStyle(ButtonStyle.Secondary);
 
-    if (role) {
-      await member.roles.add(role);
-      console.log(`✅ Assigned "${roleName}" role to ${member.user.tag}`);
-    } else {
-      console.warn(`⚠️  Role "${roleName}" not found in guild ${guild.name}`);
+    await channel.send({
+      content: `We still couldn't find your details in our Scaler records. 😔\n\nFor your security, verification is paused for ${Math.round(VERIFICATION_LOCKOUT_MS / 60000)} minutes.\n\nPlease contact our support team using the button below so they can check your registration and get you access.`,
+      components: [new ActionRowBuilder().addComponents(supportButton, retryLaterButton)]
+    });
+    return;
+  }
+
+  sessions.save();
+
+  const buttons = [
+    new ButtonBuilder()
+      .setCustomId('verification_retry')
+      .setLabel('Try Again')
+      .setStyle(ButtonStyle.Primary)
+  ];
+  if (ONBOARDING_MODE === 'modal') {
+    // One button re-opens the whole form
+    buttons.push(new ButtonBuilder()
+      .setCustomId('verification_edit:form')
+      .setLabel('Edit Details')
+      .setStyle(ButtonStyle.Secondary));
+  } else {
+    buttons.push(new ButtonBuilder()
+      .setCustomId('verification_edit:email')
+      .setLabel('Edit Email')
+      .setStyle(ButtonStyle.Secondary));
+  }
+  if (QUESTIONS.phone && ONBOARDING_MODE !== 'modal') {
+    buttons.push(new ButtonBuilder()
+      .setCustomId('verification_edit:phone')
+      .setLabel('Edit Phone')
+      .setStyle(ButtonStyle.Secondary));
+  }
+  if (isReviewEnabled()) {
+    buttons.push(new ButtonBuilder()
+      .setCustomId('review_request')
+      .setLabel('Request Manual Review')
+      .setStyle(ButtonStyle.Secondary));
+  }
+
+  await channel.send({
+    content: `Hi there! 👋\n\nThe email ID or phone number you entered doesn't match our Scaler records.\n\nPlease double-check your details: you can edit them, or try again if you've just registered. You have **${attemptsLeft}** attempt(s) left.`,
+    components: [new ActionRowBuilder().addComponents(...buttons)]
+  });
+}
+
+/**
+ * Handle the Try Again / Edit / Request Review buttons shown after a failed verification
+ *
+ * @param {ButtonInteraction} interaction - Button interaction
+ * @param {Object} session - Onboarding session
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {Client} client - Discord client
+ */
+async function handleVerificationButton(interaction, session, sessions, client) {
+  // Manual review can be requested even while locked out
+  if (interaction.customId === 'review_request') {
+    await interaction.update({ components: [] });
+    const submitted = await submitForReview(session, sessions, client, 'Not found in roster (requested by user)');
+    await interaction.followUp(submitted
+      ? '📨 Thanks! **We\'ve sent your details to our team for a manual review.** You\'ll hear back right here. Feel free to reply with anything that might help, such as your payment reference.'
+      : '⚠️ We couldn\'t send your details for review right now. Please contact our support team.');
+    return;
+  }
+
+  if (session.lockedUntil && Date.now() < session.lockedUntil) {
+    const minutesLeft = Math.ceil((session.lockedUntil - Date.now()) / 60000);
+    await interaction.reply({ content: `🔒 Please wait ${minutesLeft} more minute(s) before trying again.`, ephemeral: true });
+    return;
+  }
+
+  // In modal mode every answer is edited in the form, which re-verifies on submit
+  if (ONBOARDING_MODE === 'modal' && interaction.customId.startsWith('verification_edit:')) {
+    // Change Email on the code prompt - the form only opens once the pending code is dropped
+    if (isAwaitingCode(session)) {
+      session.otp = null;
+      session.currentStep = 0;
+      sessions.save();
     }
+    forSession(session).info(`✏️  ${session.username} is editing their details`);
+    await openOnboardingForm(interaction, session, sessions);
+    return;
+  }
+
+  // Remove the buttons so each prompt can only be used once
+  await interaction.update({ components: [] });
+  const channel = await getSessionChannel(client, session);
 
-    // Grant access to the original channel if we have a channelId
-    if (session.channelId) {
-      try {
-        const channel = guild.channels.cache.get(session.channelId);
-        if (channel) {
-          // Create permission overwrite to allow the user to view and send messages
-          await channel.permissionOverwrites.create(member.id, {
-            ViewChannel: true,
-            SendMessages: true,
-            ReadMessageHistory: true
-          });
-          console.log(`✅ Granted access to channel #${channel.name} for ${member.user.tag}`);
-        } else {
-          console.warn(`⚠️  Channel ${session.channelId} not found in guild`);
-        }
-      } catch (channelError) {
-        console.error(`❌ Failed to grant channel access:`, channelError.message);
-        // Don't throw - continue with onboarding even if channel access fails
+  if (interaction.customId === 'verification_retry') {
+    forSession(session).info(`🔁 ${session.username} retried verification`);
+    await finalizeOnboarding(channel, session, sessions, client);
+    return;
+  }
+
+  // "verification_edit:<question key>" - ask that question again, then show the summary
+  const key = interaction.customId.split(':')[1];
+  if (key === 'email' && isAwaitingCode(session)) {
+    await changeEmail(channel, session, sessions);
+    return;
+  }
+  if (key === 'email') {
+    session.otp = null;
+  }
+
+  forSession(session).info(`✏️  ${session.username} is editing their ${key}`);
+  await askQuestionAgain(channel, session, sessions, key);
+}
+
+/**
+ * Save the learner's record, assign their role and unlock their course channel
+ * Used after successful verification and for manual approvals by admins
+ *
+ * @param {TextBasedChannel} dmChannel - Channel to send the confirmation to (the user's DM or onboarding thread)
+ * @param {Object} session - Completed onboarding session
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {Client} client - Discord client
+ * @throws {Error} If the guild/member cannot be found
+ */
+async function completeOnboarding(dmChannel, session, sessions, client) {
+  const log = forSession(session);
+
+  // Verified or approved outside the review queue - close any open review
+  await closeReview(session, client, '✅ Resolved outside the review queue (verified on retry or approved by command)');
+
+  // Prepare the onboarding record (one field per configured question)
+  const record = {
+    answers: session.data,
+    discordUserId: session.userId,
+    discordUsername: session.username,
+    course: getCourseName(session),
+    program: session.verification ? session.verification.program : '',
+    batch: session.verification ? session.verification.batch : '',
+    // Sessions finished with /onboarding approve skip roster verification
+    matchReason: session.verification ? session.verification.matchReason : 'manual approval',
+    status: 'active',
+    onboardedAt: Date.now()
+  };
+
+  // Get the guild and member
+  const guild = client.guilds.cache.get(session.guildId);
+  if (!guild) {
+    emitOnboardingEvent(EVENT_TYPES.GUILD_NOT_FOUND, { session, outcome: `Guild ${session.guildId} not found - the bot may have been removed` });
+    throw new Error('Guild not found');
+  }
+
+  const member = await guild.members.fetch(session.userId);
+  if (!member) {
+    throw new Error('Member not found');
+  }
+
+  // Assign "Learner" role plus any roles mapped to the member's invite
+  const roleName = process.env.LEARNER_ROLE_NAME || 'Learner';
+  const roleRefs = [roleName, ...(session.course ? session.course.roles : [])];
+  const grantedRoleIds = [];
+
+  for (const roleRef of roleRefs) {
+    try {
+      const role = resolveRole(guild, roleRef);
+      if (role) {
+        await member.roles.add(role);
+        grantedRoleIds.push(role.id);
+        log.info(`✅ Assigned "${role.name}" role to ${member.user.tag}`);
+        emitOnboardingEvent(EVENT_TYPES.ROLE_ASSIGNED, { session, outcome: `Assigned ${role}`, details: { Role: role.name } });
+      } else {
+        log.warn(`⚠️  Role "${roleRef}" not found in guild ${guild.name}`);
+        emitOnboardingEvent(EVENT_TYPES.ROLE_NOT_FOUND, { session, outcome: `Role "${roleRef}" not found`, details: { Role: roleRef } });
       }
+    } catch (roleError) {
+      // Usually the role sits above the bot's highest role
+      log.error(`❌ Failed to assign role "${roleRef}"`, { error: roleError });
+      emitOnboardingEvent(EVENT_TYPES.ROLE_FAILED, { session, outcome: roleError.message, details: { Role: roleRef } });
     }
+  }
 
-    // Send confirmation message with button
-    const confirmationMessage = `
-✅ **All set!** Your information has been saved successfully.
-
-You've been assigned the **${roleName}** role and now have access to your course materials.
+  // Program and batch roles from the roster (created if missing and configured)
+  for (const roleRef of getRosterAccess(session.verification).roles) {
+    try {
+      const role = await resolveOrCreateRole(guild, roleRef);
+      if (role) {
+        await member.roles.add(role);
+        grantedRoleIds.push(role.id);
+        log.info(`✅ Assigned "${role.name}" role to ${member.user.tag}`);
+        emitOnboardingEvent(EVENT_TYPES.ROLE_ASSIGNED, { session, outcome: `Assigned ${role}`, details: { Role: role.name } });
+      } else {
+        log.warn(`⚠️  Role "${roleRef}" not found in guild ${guild.name}`);
+        emitOnboardingEvent(EVENT_TYPES.ROLE_NOT_FOUND, { session, outcome: `Role "${roleRef}" not found`, details: { Role: roleRef } });
+      }
+    } catch (roleError) {
+      log.error(`❌ Failed to assign role "${roleRef}"`, { error: roleError });
+      emitOnboardingEvent(EVENT_TYPES.ROLE_FAILED, { session, outcome: roleError.message, details: { Role: roleRef } });
+    }
+  }
 
-Welcome aboard! 🎉
-    `.trim();
+  // Members tagged at the onboarding deadline (ONBOARDING_DEADLINE_ACTION=tag) aren't overdue any more
+  const overdueRoleName = process.env.ONBOARDING_OVERDUE_ROLE || 'Onboarding Overdue';
+  const overdueRole = member.roles.cache.find(role => role.name === overdueRoleName);
+  if (overdueRole) {
+    try {
+      await member.roles.remove(overdueRole, 'Onboarding completed');
+      log.info(`🏷️  Removed "${overdueRoleName}" role from ${member.user.tag}`);
+    } catch (roleError) {
+      log.warn(`⚠️  Could not remove "${overdueRoleName}" role`, { error: roleError });
+    }
+  }
 
-    // Create button component if we have a channel
-    if (session.channelId) {
-      const { ButtonBuilder, ButtonStyle, ActionRowBuilder } = require('discord.js');
+  // Unlock the course's mapped channels, falling back to the channel the invite pointed at
+  const channelRefs = session.course && session.course.channels.length > 0
+    ? session.course.channels
+    : [session.channelId].filter(Boolean);
+  const courseChannels = [];
 
-      const viewChannelButton = new ButtonBuilder()
-        .setLabel('View Course Channel')
-        .setStyle(ButtonStyle.Link)
-        .setURL(`https://discord.com/channels/${session.guildId}/${session.channelId}`);
+  for (const channelRef of channelRefs) {
+    const channel = resolveChannel(guild, channelRef);
+    if (channel) {
+      courseChannels.push(channel);
+    } else {
+      log.warn(`⚠️  Channel ${channelRef} not found in guild`);
+      emitOnboardingEvent(EVENT_TYPES.CHANNEL_NOT_FOUND, { session, outcome: `Channel "${channelRef}" not found`, details: { Channel: channelRef } });
+    }
+  }
 
-      const row = new ActionRowBuilder().addComponents(viewChannelButton);
+  const courseChannelId = courseChannels.length > 0 ? courseChannels[0].id : null;
 
-      await message.channel.send({
-        content: confirmationMessage + `\n\nClick the button below to access your course channel:`,
-        components: [row]
+  if (courseChannels.length > 0) {
+    try {
+      // One access role per course keeps channel overwrites from growing with every learner
+      const accessRole = await grantCourseAccess(guild, member, getCourseName(session), courseChannels);
+      grantedRoleIds.push(accessRole.id);
+      log.info(`✅ Assigned "${accessRole.name}" role to ${member.user.tag} (${courseChannels.map(channel => `#${channel.name}`).join(', ')})`);
+      emitOnboardingEvent(EVENT_TYPES.CHANNEL_GRANTED, {
+        session,
+        outcome: `Access to ${courseChannels.join(', ')}`,
+        details: { Role: accessRole.name }
       });
-    } else {
-      await message.channel.send(confirmationMessage);
+    } catch (channelError) {
+      log.error('❌ Failed to grant channel access', { error: channelError });
+      emitOnboardingEvent(EVENT_TYPES.CHANNEL_FAILED, { session, outcome: channelError.message, details: { Channels: courseChannels.join(', ') } });
+      // Don't throw - continue with onboarding even if channel access fails
     }
+  }
 
-    console.log(`✅ Onboarding completed for ${member.user.tag}`);
-    console.log(`   📋 Name: ${session.data.name}`);
-    console.log(`   📧 Email: ${session.data.email}`);
-    console.log(`   📱 Phone: ${session.data.phone}`);
-    console.log(`   👤 Discord Username: ${session.username}`);
-    console.log(`   📺 Channel: ${session.channelName}\n`);
+  // Queue the record for every configured sink - written in the background and retried on failure.
+  // Only once per session, so retrying after a later step fails doesn't write it again
+  if (!session.recordQueuedAt) {
+    enqueueRecord(record);
+    session.recordQueuedAt = Date.now();
+    sessions.save();
+    log.info(`📊 Queued onboarding record for user ${session.userId}`);
+  }
 
-    // Clean up session
-    sessions.delete(session.userId);
-  } catch (error) {
-    console.error(`❌ Error finalizing onboarding:`, error.message);
+  // Remember what was granted so it can be revoked if they leave or drop off the roster
+  registerLearner({
+    userId: session.userId,
+    guildId: session.guildId,
+    record,
+    roleIds: grantedRoleIds,
+    manual: !session.verification || session.verification.matchReason.startsWith('manual')
+  });
 
-    // Notify user of error
-    await message.channel.send(
-      '❌ An error occurred while saving your information. Please contact an administrator for assistance.'
-    ).catch(() => {});
+  // Send confirmation message with button
+  const confirmationMessage = `
+✅ **All set!** Your information has been saved successfully.
 
-    // Keep session active for potential retry
-    console.error('   Session kept active for potential manual intervention');
+You've been assigned the **${roleName}** role and now have access to your course materials.
+
+Welcome aboard! 🎉${session.threadId ? '\n\n_This private thread will be deleted in a couple of minutes._' : ''}
+  `.trim();
+
+  // Create button component if we have a channel
+  if (courseChannelId) {
+    const { ButtonBuilder, ButtonStyle, ActionRowBuilder } = require('discord.js');
+
+    const viewChannelButton = new ButtonBuilder()
+      .setLabel('View Course Channel')
+      .setStyle(ButtonStyle.Link)
+      .setURL(`https://discord.com/channels/${session.guildId}/${courseChannelId}`);
+
+    const row = new ActionRowBuilder().addComponents(viewChannelButton);
+
+    await dmChannel.send({
+      content: confirmationMessage + `\n\nClick the button below to access your course channel:`,
+      components: [row]
+    });
+  } else {
+    await dmChannel.send(confirmationMessage);
   }
+
+  log.info(`✅ Onboarding completed for ${member.user.tag}`, { course: getCourseName(session), answers: session.data });
+  emitOnboardingEvent(EVENT_TYPES.ONBOARDING_COMPLETED, {
+    session,
+    outcome: `Onboarded by ${record.matchReason}`,
+    details: { Email: session.data.email, Phone: session.data.phone, Roles: grantedRoleIds.map(id => `<@&${id}>`).join(' ') || null }
+  });
+
+  // Clean up session, and the private thread once they've had time to read the confirmation
+  sessions.delete(session.userId);
+  await closeFallbackThread(client, session, { delay: true });
 }
 
 module.exports = {
   handleOnboarding,
   handleResponse,
+  resumeOnboarding,
+  completeOnboarding,
+  resendVerificationCode,
+  handleVerificationButton,
+  handleCourseSelect,
+  handleSummaryButton,
+  openOnboardingForm,
+  handleFormSubmit,
+  openCodeForm,
+  handleCodeSubmit,
+  isAwaitingCode,
+  isAwaitingCourse,
+  isAwaitingConfirmation,
   QUESTIONS,
-  QUESTION_ORDER
+  QUESTION_ORDER,
+  ONBOARDING_MODE,
+  formatQuestion
 };
@@ -0,0 +1,113 @@
+/**
+ * Onboarding Events Module
+ *
+ * Typed events for what happens to a member during onboarding (joined, DM
+ * failed, verified, role assigned, ...). The flow emits them and listeners
+ * such as the audit log channel subscribe, so the flow doesn't need to know
+ * who is watching.
+ */
+
+const { EventEmitter } = require('events');
+const { getCourseName } = require('./inviteMap');
+const { logger } = require('./logger');
+
+const EVENT_TYPES = {
+  MEMBER_JOINED: 'member.joined',
+  MEMBER_LEFT: 'member.left',
+  DM_FAILED: 'dm.failed',
+  ONBOARDING_UNREACHABLE: 'onboarding.unreachable',
+  CODE_SEND_FAILED: 'verification.code_failed',
+  VERIFICATION_PASSED: 'verification.passed',
+  VERIFICATION_FAILED: 'verification.failed',
+  VERIFICATION_LOCKED: 'verification.locked',
+  ROLE_ASSIGNED: 'role.assigned',
+  ROLE_NOT_FOUND: 'role.not_found',
+  ROLE_FAILED: 'role.failed',
+  CHANNEL_GRANTED: 'channel.granted',
+  CHANNEL_NOT_FOUND: 'channel.not_found',
+  CHANNEL_FAILED: 'channel.failed',
+  GUILD_NOT_FOUND: 'guild.not_found',
+  ONBOARDING_STARTED: 'onboarding.started',
+  ONBOARDING_COMPLETED: 'onboarding.completed',
+  ONBOARDING_FAILED: 'onboarding.failed',
+  ONBOARDING_CANCELLED: 'onboarding.cancelled',
+  ONBOARDING_EXPIRED: 'onboarding.expired',
+  ONBOARDING_OVERDUE: 'onboarding.overdue'
+};
+
+// Title and severity of each event: info, success, warning or error
+const EVENT_INFO = {
+  [EVENT_TYPES.MEMBER_JOINED]: { title: '👋 Member joined', level: 'info' },
+  [EVENT_TYPES.MEMBER_LEFT]: { title: '🚶 Member left', level: 'info' },
+  [EVENT_TYPES.DM_FAILED]: { title: '📪 Could not DM member', level: 'warning' },
+  [EVENT_TYPES.ONBOARDING_UNREACHABLE]: { title: '🚫 Could not reach member', level: 'error' },
+  [EVENT_TYPES.CODE_SEND_FAILED]: { title: '📧 Verification code not sent', level: 'warning' },
+  [EVENT_TYPES.VERIFICATION_PASSED]: { title: '✅ Verified against roster', level: 'success' },
+  [EVENT_TYPES.VERIFICATION_FAILED]: { title: '❌ Not found in roster', level: 'warning' },
+  [EVENT_TYPES.VERIFICATION_LOCKED]: { title: '🔒 Verification locked out', level: 'error' },
+  [EVENT_TYPES.ROLE_ASSIGNED]: { title: '🏷️ Role assigned', level: 'success' },
+  [EVENT_TYPES.ROLE_NOT_FOUND]: { title: '⚠️ Role not found', level: 'error' },
+  [EVENT_TYPES.ROLE_FAILED]: { title: '⚠️ Role assignment failed', level: 'error' },
+  [EVENT_TYPES.CHANNEL_GRANTED]: { title: '📺 Channel access granted', level: 'success' },
+  [EVENT_TYPES.CHANNEL_NOT_FOUND]: { title: '⚠️ Channel not found', level: 'error' },
+  [EVENT_TYPES.CHANNEL_FAILED]: { title: '⚠️ Channel access failed', level: 'error' },
+  [EVENT_TYPES.GUILD_NOT_FOUND]: { title: '⚠️ Guild not found', level: 'error' },
+  [EVENT_TYPES.ONBOARDING_STARTED]: { title: '📝 Onboarding started', level: 'info' },
+  [EVENT_TYPES.ONBOARDING_COMPLETED]: { title: '🎉 Onboarding completed', level: 'success' },
+  [EVENT_TYPES.ONBOARDING_FAILED]: { title: '❌ Onboarding failed', level: 'error' },
+  [EVENT_TYPES.ONBOARDING_CANCELLED]: { title: '🛑 Onboarding cancelled', level: 'info' },
+  [EVENT_TYPES.ONBOARDING_EXPIRED]: { title: '⌛ Onboarding session expired', level: 'warning' },
+  [EVENT_TYPES.ONBOARDING_OVERDUE]: { title: '⏰ Onboarding deadline passed', level: 'warning' }
+};
+
+const onboardingEvents = new EventEmitter();
+
+/**
+ * Emit an onboarding event to every listener
+ * User, guild, invite and course are filled in from the session when one is given
+ *
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} fields
+ * @param {Object} [fields.session] - Onboarding session the event is about
+ * @param {string} [fields.userId] - Discord user ID (when there's no session)
+ * @param {string} [fields.username] - Discord tag (when there's no session)
+ * @param {string} [fields.guildId] - Guild ID (when there's no session)
+ * @param {string} [fields.invite] - Invite code used to join
+ * @param {string} [fields.course] - Course name
+ * @param {string} [fields.outcome] - What happened, in a few words
+ * @param {Object} [fields.details] - Extra fields; email and phone are masked by listeners that display them
+ */
+function emitOnboardingEvent(type, { session = null, ...fields } = {}) {
+  if (!EVENT_INFO[type]) {
+    throw new Error(`Unknown onboarding event type "${type}"`);
+  }
+
+  const event = {
+    type,
+    ...EVENT_INFO[type],
+    at: Date.now(),
+    userId: session ? session.userId : null,
+    username: session ? session.username : null,
+    guildId: session ? session.guildId : null,
+    invite: session && session.course ? session.course.code : null,
+    course: session ? getCourseName(session) : null,
+    // The event is about an onboarding session that was still in progress
+    sessionOpen: Boolean(session),
+    outcome: null,
+    details: {},
+    ...fields
+  };
+
+  // A failing listener must never break onboarding
+  try {
+    onboardingEvents.emit('event', event);
+  } catch (error) {
+    logger.error(`❌ Onboarding event listener failed for ${type}`, { guildId: event.guildId, userId: event.userId, error });
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  onboardingEvents,
+  emitOnboardingEvent
+};
@@ -0,0 +1,167 @@
+/**
+ * Onboarding Form Module
+ *
+ * Builds the Discord modals used in modal mode ("mode": "modal" in the
+ * onboarding config), where every question is answered in one form instead of
+ * one DM message at a time, and validates the submitted answers.
+ */
+
+const {
+  LabelBuilder,
+  ModalBuilder,
+  StringSelectMenuBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const { sanitizeInput } = require('./validators');
+const { QUESTIONS, QUESTION_ORDER } = require('./questions');
+
+// Discord limits for modal labels and descriptions
+const LABEL_MAX_LENGTH = 45;
+const DESCRIPTION_MAX_LENGTH = 100;
+
+/**
+ * Shorten text to fit a Discord limit
+ *
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Text that fits
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Strip Discord markdown and the leading emoji from an error message so it reads well as a field description
+ *
+ * @param {string} message - Question error message
+ * @returns {string} Plain text
+ */
+function toDescription(message) {
+  return message.replace(/^\W+\s*/u, '').replace(/[*_`]/g, '');
+}
+
+/**
+ * Build the input for one question: a select menu for choices, a text box otherwise
+ *
+ * @param {Object} question - Built question
+ * @param {string} value - Value to pre-fill
+ * @returns {StringSelectMenuBuilder|TextInputBuilder} Input component
+ */
+function buildInput(question, value) {
+  if (question.choices) {
+    return new StringSelectMenuBuilder()
+      .setCustomId(question.key)
+      .setRequired(question.required)
+      .setMinValues(question.required ? 1 : 0)
+      .setMaxValues(1)
+      .addOptions(question.choices.map(choice => ({
+        label: truncate(choice, 100),
+        value: choice,
+        default: choice === value
+      })));
+  }
+
+  const input = new TextInputBuilder()
+    .setCustomId(question.key)
+    .setStyle(TextInputStyle.Short)
+    .setRequired(question.required)
+    .setMaxLength(500);
+
+  if (value) {
+    input.setValue(value);
+  }
+  return input;
+}
+
+/**
+ * Build the onboarding form, pre-filled with the user's last answers
+ * Fields that failed validation show the question's error message underneath the label
+ *
+ * @param {Object} session - Onboarding session
+ * @returns {ModalBuilder} Modal
+ */
+function buildOnboardingModal(session) {
+  const form = session.form || { values: {}, errors: {} };
+
+  const labels = QUESTION_ORDER.map(key => {
+    const question = QUESTIONS[key];
+    const value = key in form.values ? form.values[key] : session.data[key];
+    const label = new LabelBuilder().setLabel(truncate(question.label, LABEL_MAX_LENGTH));
+
+    if (form.errors[key]) {
+      label.setDescription(truncate(`⚠️ ${toDescription(form.errors[key])}`, DESCRIPTION_MAX_LENGTH));
+    }
+
+    const input = buildInput(question, value);
+    return question.choices ? label.setStringSelectMenuComponent(input) : label.setTextInputComponent(input);
+  });
+
+  return new ModalBuilder()
+    .setCustomId('onboarding_form')
+    .setTitle('Your details')
+    .addLabelComponents(...labels);
+}
+
+/**
+ * Build the form used to enter an email verification code
+ *
+ * @returns {ModalBuilder} Modal
+ */
+function buildCodeModal() {
+  const input = new TextInputBuilder()
+    .setCustomId('code')
+    .setStyle(TextInputStyle.Short)
+    .setRequired(true)
+    .setMinLength(6)
+    .setMaxLength(6);
+
+  return new ModalBuilder()
+    .setCustomId('otp_form')
+    .setTitle('Verify your email')
+    .addLabelComponents(new LabelBuilder()
+      .setLabel('6-digit code from the email')
+      .setTextInputComponent(input));
+}
+
+/**
+ * Validate a submitted onboarding form with each question's validator
+ *
+ * @param {ModalSubmitFields} fields - Submitted modal fields
+ * @returns {{ answers: Object, values: Object, errors: Object }} Normalized answers,
+ *   the raw values (to pre-fill the form again) and an error message per invalid field
+ */
+function readOnboardingForm(fields) {
+  const answers = {};
+  const values = {};
+  const errors = {};
+
+  for (const key of QUESTION_ORDER) {
+    const question = QUESTIONS[key];
+    const raw = question.choices
+      ? (fields.getStringSelectValues(key)[0] || '')
+      : fields.getTextInputValue(key);
+    const value = sanitizeInput(raw || '');
+    values[key] = value;
+
+    if (!value && !question.required) {
+      answers[key] = '';
+      continue;
+    }
+
+    const answer = value ? question.parse(value) : null;
+    if (answer === null) {
+      errors[key] = question.errorMessage;
+    } else {
+      answers[key] = answer;
+    }
+  }
+
+  return { answers, values, errors };
+}
+
+module.exports = {
+  buildOnboardingModal,
+  buildCodeModal,
+  readOnboardingForm
+};
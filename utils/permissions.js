@@ -0,0 +1,18 @@
+/**
+ * Permission Helpers
+ *
+ * Shared checks for admin-only commands and moderator actions
+ */
+
+/**
+ * Check whether a guild member holds the configured admin role
+ *
+ * @param {GuildMember} member - Member to check
+ * @returns {boolean} True if the member is an admin
+ */
+function isAdmin(member) {
+  const adminRoleName = process.env.ADMIN_ROLE_NAME || 'Admin';
+  return Boolean(member && member.roles.cache.some(role => role.name === adminRoleName));
+}
+
+module.exports = { isAdmin };
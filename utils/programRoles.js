@@ -0,0 +1,138 @@
+/**
+ * Program Roles Module
+ *
+ * Maps a learner's roster program and batch to the Discord roles they get and,
+ * optionally, the course and channels they belong to (config/programs.json by
+ * default, override with PROGRAM_ROLES_PATH).
+ */
+
+const path = require('path');
+const { readJsonFile } = require('./storage');
+const { resolveRole } = require('./inviteMap');
+const { logger } = require('./logger');
+
+const PROGRAM_ROLES_PATH = path.resolve(
+  process.env.PROGRAM_ROLES_PATH || path.join(__dirname, '..', 'config', 'programs.json')
+);
+
+/**
+ * Normalize a program or batch name for lookups (case-insensitive, trimmed)
+ *
+ * @param {string} value - Program or batch name
+ * @returns {string} Normalized name
+ */
+function normalizeKey(value) {
+  return String(value || '').toLowerCase().trim();
+}
+
+/**
+ * Check a program or batch entry for wrongly typed fields
+ *
+ * @param {string} label - Entry label for error messages (e.g., 'program "DSML"')
+ * @param {Object} entry - Entry config
+ */
+function validateEntry(label, entry) {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`${label} must be an object`);
+  }
+  for (const field of ['roles', 'channels']) {
+    if (entry[field] !== undefined && (!Array.isArray(entry[field]) || entry[field].some(value => typeof value !== 'string'))) {
+      throw new Error(`${label} has an invalid "${field}" list (expected role/channel names or IDs)`);
+    }
+  }
+  if (entry.course !== undefined && typeof entry.course !== 'string') {
+    throw new Error(`${label} has an invalid "course" name`);
+  }
+}
+
+/**
+ * Index a section of the config by normalized name
+ *
+ * @param {string} section - "programs" or "batches"
+ * @param {Object} entries - Name -> entry
+ * @returns {Map<string, Object>} Normalized name -> entry
+ */
+function indexEntries(section, entries) {
+  const index = new Map();
+  for (const [name, entry] of Object.entries(entries || {})) {
+    validateEntry(`${section.slice(0, -1)} "${name}"`, entry);
+    index.set(normalizeKey(name), {
+      roles: entry.roles || [],
+      channels: entry.channels || [],
+      course: entry.course ? entry.course.trim() : null
+    });
+  }
+  return index;
+}
+
+/**
+ * Load the program and batch mappings from the config file
+ * A missing file means only the Learner role is assigned
+ *
+ * @param {string} configPath - Path to the program roles file
+ * @returns {{ programs: Map, batches: Map, createMissingRoles: boolean }}
+ */
+function loadProgramRoles(configPath) {
+  const config = readJsonFile(configPath, {});
+  return {
+    programs: indexEntries('programs', config.programs),
+    batches: indexEntries('batches', config.batches),
+    createMissingRoles: config.createMissingRoles === true
+  };
+}
+
+let programRoles;
+try {
+  programRoles = loadProgramRoles(PROGRAM_ROLES_PATH);
+  logger.info(`🏷️  Loaded ${programRoles.programs.size} program and ${programRoles.batches.size} batch mapping(s)`, { path: PROGRAM_ROLES_PATH });
+} catch (error) {
+  logger.error('❌ Invalid program roles config', { path: PROGRAM_ROLES_PATH, error });
+  throw error;
+}
+
+/**
+ * Work out the roles, channels and course for a learner's program and batch
+ * Batch entries add to the program's roles and channels; a batch course name wins
+ *
+ * @param {Object} learner - Learner details from the roster
+ * @param {string} [learner.program] - Program name (e.g., "DSML")
+ * @param {string} [learner.batch] - Batch name (e.g., "Jan-2026")
+ * @returns {{ roles: string[], channels: string[], course: string|null }} Access from the roster
+ */
+function getRosterAccess(learner) {
+  const { program, batch } = learner || {};
+  const entries = [
+    programRoles.programs.get(normalizeKey(program)),
+    programRoles.batches.get(normalizeKey(batch))
+  ].filter(Boolean);
+
+  return {
+    roles: [...new Set(entries.flatMap(entry => entry.roles))],
+    channels: [...new Set(entries.flatMap(entry => entry.channels))],
+    course: entries.reduce((course, entry) => entry.course || course, null)
+  };
+}
+
+/**
+ * Find a role by ID or name, creating it when createMissingRoles is enabled
+ *
+ * @param {Guild} guild - Discord guild
+ * @param {string} ref - Role ID or name
+ * @returns {Promise<Role|null>} Role, or null if it doesn't exist and can't be created
+ */
+async function resolveOrCreateRole(guild, ref) {
+  const role = resolveRole(guild, ref);
+  if (role || !programRoles.createMissingRoles) {
+    return role || null;
+  }
+
+  const created = await guild.roles.create({ name: ref, reason: 'Roster program/batch role for onboarding' });
+  logger.info(`➕ Created missing role "${ref}" in guild ${guild.name}`, { guildId: guild.id });
+  return created;
+}
+
+module.exports = {
+  PROGRAM_ROLES_PATH,
+  getRosterAccess,
+  resolveOrCreateRole
+};
@@ -0,0 +1,183 @@
+/**
+ * Onboarding Questions Module
+ *
+ * Loads the onboarding question flow from a JSON config file
+ * (config/onboarding.json by default, override with ONBOARDING_CONFIG_PATH)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  isValidEmail,
+  isValidPhone,
+  isValidName,
+  isValidNumber,
+  matchesPattern,
+  resolveChoice
+} = require('./validators');
+const { logger } = require('./logger');
+
+const CONFIG_PATH = path.resolve(
+  process.env.ONBOARDING_CONFIG_PATH || path.join(__dirname, '..', 'config', 'onboarding.json')
+);
+
+// Word users can type to leave an optional question blank
+const SKIP_KEYWORD = 'skip';
+
+// "dm" asks one question per message; "modal" collects every answer in one Discord form
+const ONBOARDING_MODES = ['dm', 'modal'];
+
+// Discord allows at most 5 fields per modal and 25 options per select menu
+const MODAL_MAX_FIELDS = 5;
+const MODAL_MAX_CHOICES = 25;
+
+/**
+ * Build the validator for a question from its type
+ * Each type maps to a function that returns the normalized answer, or null if invalid
+ *
+ * @param {Object} config - Question config
+ * @returns {Function} (input) => string|null
+ */
+function buildParser(config) {
+  switch (config.type) {
+    case 'name':
+      return input => (isValidName(input) ? input : null);
+    case 'email':
+      return input => (isValidEmail(input) ? input.trim() : null);
+    case 'phone':
+      return input => (isValidPhone(input) ? input : null);
+    case 'text':
+      return input => (input.trim().length >= (config.minLength || 1) ? input : null);
+    case 'regex':
+      return input => (matchesPattern(input, config.pattern, config.flags) ? input.trim() : null);
+    case 'number':
+      return input => (isValidNumber(input, config.min, config.max) ? String(Number(input.trim())) : null);
+    case 'choice':
+      return input => resolveChoice(input, config.choices);
+    default:
+      throw new Error(`Unknown validator type "${config.type}" for question "${config.key}"`);
+  }
+}
+
+/**
+ * Check a question config for missing or inconsistent fields
+ *
+ * @param {Object} config - Question config
+ */
+function validateQuestionConfig(config) {
+  for (const field of ['key', 'question', 'type']) {
+    if (!config[field]) {
+      throw new Error(`Question is missing "${field}": ${JSON.stringify(config)}`);
+    }
+  }
+  if (config.type === 'regex' && !config.pattern) {
+    throw new Error(`Regex question "${config.key}" needs a "pattern"`);
+  }
+  if (config.type === 'regex') {
+    // Fail on startup rather than on the first learner's answer
+    try {
+      new RegExp(config.pattern, config.flags);
+    } catch (error) {
+      throw new Error(`Regex question "${config.key}" has an invalid pattern: ${error.message}`);
+    }
+  }
+  if (config.type === 'choice' && (!Array.isArray(config.choices) || config.choices.length === 0)) {
+    throw new Error(`Choice question "${config.key}" needs a non-empty "choices" list`);
+  }
+}
+
+/**
+ * Load and build the question flow from the config file
+ *
+ * @param {string} configPath - Path to the onboarding config file
+ * @returns {{ QUESTIONS: Object, QUESTION_ORDER: string[], ONBOARDING_MODE: string }}
+ */
+function loadQuestions(configPath) {
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+  if (!Array.isArray(config.questions) || config.questions.length === 0) {
+    throw new Error(`No questions defined in ${configPath}`);
+  }
+
+  const mode = config.mode || 'dm';
+  if (!ONBOARDING_MODES.includes(mode)) {
+    throw new Error(`Unknown onboarding mode "${mode}" (expected ${ONBOARDING_MODES.join(' or ')})`);
+  }
+  if (mode === 'modal' && config.questions.length > MODAL_MAX_FIELDS) {
+    throw new Error(`Modal mode supports at most ${MODAL_MAX_FIELDS} questions (found ${config.questions.length})`);
+  }
+
+  const questions = {};
+  for (const questionConfig of config.questions) {
+    validateQuestionConfig(questionConfig);
+
+    if (mode === 'modal' && questionConfig.type === 'choice' && questionConfig.choices.length > MODAL_MAX_CHOICES) {
+      throw new Error(`Choice question "${questionConfig.key}" has more than ${MODAL_MAX_CHOICES} choices, which a modal can't show`);
+    }
+
+    if (questions[questionConfig.key]) {
+      throw new Error(`Duplicate question key "${questionConfig.key}"`);
+    }
+
+    questions[questionConfig.key] = {
+      key: questionConfig.key,
+      label: questionConfig.label || questionConfig.key,
+      column: questionConfig.column || questionConfig.label || questionConfig.key,
+      question: questionConfig.question,
+      type: questionConfig.type,
+      required: questionConfig.required !== false,
+      choices: questionConfig.choices || null,
+      parse: buildParser(questionConfig),
+      errorMessage: questionConfig.errorMessage || '❌ That answer is not valid. Please try again.'
+    };
+  }
+
+  // The email answer is what we verify against the paid learner roster
+  if (!questions.email || questions.email.type !== 'email' || !questions.email.required) {
+    throw new Error('The question flow must include a required "email" question of type "email"');
+  }
+
+  return {
+    QUESTIONS: questions,
+    QUESTION_ORDER: config.questions.map(question => question.key),
+    ONBOARDING_MODE: mode
+  };
+}
+
+/**
+ * Render a question as a DM prompt, including choices and optional hint
+ *
+ * @param {Object} question - Built question
+ * @returns {string} Message text
+ */
+function formatQuestion(question) {
+  let prompt = question.question;
+
+  if (question.choices) {
+    prompt += '\n' + question.choices.map((choice, index) => `**${index + 1}.** ${choice}`).join('\n');
+    prompt += '\n_Reply with the number or the option text._';
+  }
+
+  if (!question.required) {
+    prompt += `\n_(Optional — type \`${SKIP_KEYWORD}\` to leave this blank.)_`;
+  }
+
+  return prompt;
+}
+
+let loaded;
+try {
+  loaded = loadQuestions(CONFIG_PATH);
+  logger.info(`📋 Loaded ${loaded.QUESTION_ORDER.length} onboarding question(s) (${loaded.ONBOARDING_MODE} mode)`, { path: CONFIG_PATH });
+} catch (error) {
+  logger.error('❌ Invalid onboarding config', { path: CONFIG_PATH, error });
+  throw error;
+}
+
+module.exports = {
+  QUESTIONS: loaded.QUESTIONS,
+  QUESTION_ORDER: loaded.QUESTION_ORDER,
+  ONBOARDING_MODE: loaded.ONBOARDING_MODE,
+  SKIP_KEYWORD,
+  formatQuestion
+};
@@ -0,0 +1,306 @@
+/**
+ * Roster Reconciliation Module
+ *
+ * Offboards learners who are no longer paid learners or who leave the server.
+ * A scheduled job compares Learner role holders against the roster; anyone
+ * missing is warned by DM and, after a grace period, loses the roles and
+ * channel access they were given during onboarding.
+ */
+
+const { enqueueRecord, readStoredRecords } = require('./recordOutbox');
+const { getRosterInfo } = require('./roster');
+const { findRosterMatch } = require('./emailVerification');
+const { isAdmin } = require('./permissions');
+const { registerLearner, getLearner, updateLearner } = require('./learnerRegistry');
+const { closeFallbackThread } = require('./fallbackThread');
+const { courseRoleName, isCourseOverwrite } = require('./courseAccess');
+const { logger, forSession, forMember } = require('./logger');
+
+// How often the reconciliation job runs (0 disables it)
+const RECONCILE_INTERVAL_MS = Number(process.env.RECONCILE_INTERVAL_HOURS || 0) * 60 * 60 * 1000;
+
+// How long a learner missing from the roster keeps access after being warned
+const RECONCILE_GRACE_MS = Number(process.env.RECONCILE_GRACE_DAYS || 3) * 24 * 60 * 60 * 1000;
+
+// When true, the scheduled job only logs what it would do
+const RECONCILE_DRY_RUN = process.env.RECONCILE_DRY_RUN === 'true';
+
+/**
+ * Check whether a registered learner is still in the roster
+ *
+ * @param {Object} learner - Learner registry entry
+ * @returns {boolean} True if their details still match under VERIFICATION_MATCH_POLICY
+ */
+function isInRoster(learner) {
+  const { answers } = learner.record;
+  return Boolean(findRosterMatch({ email: answers.email, phone: answers.phone }).learner);
+}
+
+/**
+ * Find the stored onboarding record for a Learner role holder who isn't in the registry
+ * Rows written before Discord user IDs were recorded are matched by username
+ *
+ * @param {Object[]} records - Records read back from a sink
+ * @param {GuildMember} member - Learner role holder
+ * @returns {Object|null} Their active record
+ */
+function findStoredRecord(records, member) {
+  const active = records.filter(record => record.status === 'active');
+  const usernames = [member.user.tag, member.user.username];
+
+  return active.find(record => record.discordUserId === member.id)
+    || active.find(record => !record.discordUserId && usernames.includes(record.discordUsername))
+    || null;
+}
+
+/**
+ * Add a Learner role holder to the registry from their stored onboarding record
+ *
+ * @param {GuildMember} member - Learner role holder
+ * @param {Object} record - Their stored onboarding record
+ * @param {boolean} dryRun - Build the entry without saving it
+ * @returns {Object} Learner registry entry
+ */
+function seedLearner(member, record, dryRun) {
+  // The course role is the only granted role the record identifies
+  const courseRole = record.course && member.roles.cache.find(role => role.name === courseRoleName(record.course));
+  const learner = {
+    userId: member.id,
+    guildId: member.guild.id,
+    record: { ...record, discordUserId: member.id },
+    roleIds: courseRole ? [courseRole.id] : [],
+    manual: (record.matchReason || '').startsWith('manual')
+  };
+
+  if (dryRun) {
+    return { ...learner, status: 'active', missingSince: null, warnedAt: null };
+  }
+  registerLearner(learner);
+  return getLearner(member.id);
+}
+
+/**
+ * Remove the per-member course overwrites older versions of the bot granted a user
+ * Overwrites that differ from the course grant (mutes, denies, staff permissions)
+ * were set by moderators and are kept
+ *
+ * @param {Guild} guild - Discord guild
+ * @param {string} userId - Discord user ID
+ * @returns {Promise<number>} Number of overwrites removed
+ */
+async function removeCourseOverwrites(guild, userId) {
+  let removed = 0;
+
+  for (const channel of guild.channels.cache.values()) {
+    const overwrite = channel.permissionOverwrites && channel.permissionOverwrites.cache.get(userId);
+    if (overwrite && isCourseOverwrite(overwrite)) {
+      try {
+        await overwrite.delete('Learner offboarded');
+        removed++;
+      } catch (error) {
+        logger.error(`❌ Failed to remove overwrite on #${channel.name}`, { guildId: guild.id, userId, error });
+      }
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Mark a learner's record with a new status in every sink
+ *
+ * @param {Object} learner - Learner registry entry
+ * @param {string} status - departed | revoked
+ */
+function queueStatusUpdate(learner, status) {
+  enqueueRecord({ ...learner.record, status });
+}
+
+/**
+ * Take away everything a learner was given during onboarding
+ *
+ * @param {GuildMember} member - Member to offboard
+ * @param {Object} learner - Learner registry entry
+ */
+async function revokeAccess(member, learner) {
+  const learnerRoleName = process.env.LEARNER_ROLE_NAME || 'Learner';
+  const roles = member.roles.cache.filter(role => learner.roleIds.includes(role.id) || role.name === learnerRoleName);
+
+  if (roles.size > 0) {
+    await member.roles.remove([...roles.keys()], 'No longer in the paid learner roster');
+  }
+  const overwrites = await removeCourseOverwrites(member.guild, member.id);
+
+  updateLearner(member.id, { status: 'revoked', revokedAt: Date.now() });
+  queueStatusUpdate(learner, 'revoked');
+
+  forMember(member).info(`🚪 Revoked access for ${member.user.tag}: ${roles.size} role(s), ${overwrites} overwrite(s)`);
+
+  await member.send(`👋 Your access to the **${member.guild.name}** course channels has been removed because we couldn't find an active enrollment for you.\n\nIf you think this is a mistake, please contact our support team through your dashboard.`)
+    .catch(() => forMember(member).warn(`⚠️  Could not DM ${member.user.tag} about the revoked access`));
+}
+
+/**
+ * Compare the guild's Learner role holders against the roster
+ *
+ * @param {Guild} guild - Discord guild
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report what would happen without warning or revoking anyone
+ * @returns {Promise<Object>} Report: lists of member tags by outcome
+ */
+async function reconcileGuild(guild, { dryRun = false } = {}) {
+  // An empty or failed roster would look like everyone had left
+  if (getRosterInfo().size === 0) {
+    throw new Error('The paid learner roster is empty or not loaded; skipping reconciliation');
+  }
+
+  const report = { ok: [], restored: [], warned: [], inGrace: [], revoked: [], manual: [], seeded: [], unregistered: [], failed: [] };
+  const learnerRoleName = process.env.LEARNER_ROLE_NAME || 'Learner';
+  const now = Date.now();
+
+  const members = await guild.members.fetch();
+  const roleHolders = members.filter(member => !member.user.bot && member.roles.cache.some(role => role.name === learnerRoleName));
+
+  // Read back from a sink the first time a holder isn't in the registry
+  let storedRecords = null;
+
+  for (const member of roleHolders.values()) {
+    const tag = member.user.tag;
+    let learner = getLearner(member.id);
+
+    // Onboarded before the registry existed: seed the registry from their stored record
+    if (!learner || learner.guildId !== guild.id) {
+      if (!storedRecords) {
+        storedRecords = await readStoredRecords().catch(error => {
+          logger.error('❌ Could not read stored onboarding records', { error });
+          return null;
+        }) || [];
+      }
+
+      const record = findStoredRecord(storedRecords, member);
+      learner = record ? seedLearner(member, record, dryRun) : null;
+      if (learner) report.seeded.push(tag);
+    }
+
+    // No record (e.g., given the role by hand) or previously revoked: left for an admin
+    if (!learner || learner.status !== 'active') {
+      report.unregistered.push(tag);
+      continue;
+    }
+
+    // Moderator-approved learners and staff are never revoked automatically
+    if (learner.manual || isAdmin(member)) {
+      report.manual.push(tag);
+      continue;
+    }
+
+    if (isInRoster(learner)) {
+      if (learner.missingSince) {
+        report.restored.push(tag);
+        if (!dryRun) updateLearner(member.id, { missingSince: null, warnedAt: null });
+      } else {
+        report.ok.push(tag);
+      }
+      continue;
+    }
+
+    try {
+      if (!learner.missingSince) {
+        report.warned.push(tag);
+        if (dryRun) continue;
+
+        const revokeAt = now + RECONCILE_GRACE_MS;
+        updateLearner(member.id, { missingSince: now, warnedAt: now });
+        forMember(member).warn(`⚠️  ${tag} is no longer in the roster; access will be revoked after ${new Date(revokeAt).toISOString()}`);
+        await member.send(`⚠️ We couldn't find an active enrollment for you in our records, so your access to the **${guild.name}** course channels will be removed <t:${Math.floor(revokeAt / 1000)}:R>.\n\nIf you've renewed or think this is a mistake, please contact our support team through your dashboard.`)
+          .catch(() => forMember(member).warn(`⚠️  Could not DM ${tag} about the upcoming revocation`));
+      } else if (now - learner.missingSince < RECONCILE_GRACE_MS) {
+        report.inGrace.push(tag);
+      } else {
+        report.revoked.push(tag);
+        if (!dryRun) await revokeAccess(member, learner);
+      }
+    } catch (error) {
+      report.failed.push(tag);
+      forMember(member).error(`❌ Reconciliation failed for ${tag}`, { error });
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Summarize a reconciliation report in one line
+ *
+ * @param {Object} report - Reconciliation report
+ * @returns {string} Summary
+ */
+function summarizeReport(report) {
+  return Object.entries(report).map(([outcome, tags]) => `${outcome}: ${tags.length}`).join(', ');
+}
+
+/**
+ * Run reconciliation on a schedule for every guild the bot is in
+ *
+ * @param {Client} client - Discord client
+ */
+function startReconciler(client) {
+  if (!RECONCILE_INTERVAL_MS) {
+    return;
+  }
+
+  setInterval(async () => {
+    for (const guild of client.guilds.cache.values()) {
+      try {
+        const report = await reconcileGuild(guild, { dryRun: RECONCILE_DRY_RUN });
+        logger.info(`🧾 Reconciliation${RECONCILE_DRY_RUN ? ' (dry run)' : ''} for ${guild.name}: ${summarizeReport(report)}`);
+      } catch (error) {
+        logger.error(`❌ Reconciliation failed for ${guild.name}`, { error });
+      }
+    }
+  }, RECONCILE_INTERVAL_MS);
+
+  logger.info(`🧾 Roster reconciliation runs every ${RECONCILE_INTERVAL_MS / 3600000}h (grace period ${RECONCILE_GRACE_MS / 86400000}d${RECONCILE_DRY_RUN ? ', dry run' : ''})`);
+}
+
+/**
+ * Clean up after a member leaves the server: drop their pending session and,
+ * for learners, remove leftover course overwrites and mark their record as departed
+ *
+ * @param {GuildMember} member - Member who left
+ * @param {Collection} sessions - Active onboarding sessions
+ */
+async function handleMemberLeave(member, sessions) {
+  const session = sessions.get(member.id);
+  if (session && session.guildId === member.guild.id) {
+    sessions.delete(member.id);
+    await closeFallbackThread(member.client, session);
+    forSession(session).info(`🗑️  Dropped pending onboarding session for ${member.user.tag}`);
+  }
+
+  const learnerRoleName = process.env.LEARNER_ROLE_NAME || 'Learner';
+  const learner = getLearner(member.id);
+  const isRegistered = Boolean(learner && learner.guildId === member.guild.id);
+  // Partial members (left before being cached) have no roles to check
+  const hadLearnerRole = !member.partial && member.roles.cache.some(role => role.name === learnerRoleName);
+
+  if (!isRegistered && !hadLearnerRole) {
+    return;
+  }
+
+  // Old per-member course access would come back if they rejoined
+  await removeCourseOverwrites(member.guild, member.id);
+
+  if (isRegistered && learner.status === 'active') {
+    updateLearner(member.id, { status: 'departed', departedAt: Date.now() });
+    queueStatusUpdate(learner, 'departed');
+    forMember(member).info(`🚪 Marked ${member.user.tag} as departed`);
+  }
+}
+
+module.exports = {
+  reconcileGuild,
+  summarizeReport,
+  startReconciler,
+  handleMemberLeave
+};
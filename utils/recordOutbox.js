@@ -0,0 +1,262 @@
+/**
+ * Record Outbox Module
+ *
+ * Durable retry queue for onboarding records. Each record is saved to disk
+ * once per configured sink and written in the background with exponential
+ * backoff, so an outage in Google Sheets (or any other sink) never blocks
+ * onboarding. Writes that keep failing move to a dead-letter list that
+ * admins can inspect and replay.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { createSinks } = require('./sinks');
+const { dataPath, readJsonFile, writeJsonFile } = require('./storage');
+const { logger } = require('./logger');
+
+const OUTBOX_PATH = process.env.RECORD_OUTBOX_PATH || dataPath('recordOutbox.json');
+
+// Sheets-only outbox used before record sinks existed; imported once on startup
+const LEGACY_OUTBOX_PATH = process.env.SHEET_OUTBOX_PATH || dataPath('sheetOutbox.json');
+
+// Backoff: 5s, 10s, 20s, ... capped at 1 hour
+const BASE_DELAY_MS = 5000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+const MAX_ATTEMPTS = Number(process.env.RECORD_MAX_ATTEMPTS || process.env.SHEET_MAX_ATTEMPTS || 8);
+
+// Sink name -> sink
+const sinks = new Map(createSinks().map(sink => [sink.name, sink]));
+
+let outbox = { pending: [], deadLetters: [] };
+let timer = null;
+let processing = false;
+
+/**
+ * Write the outbox to disk
+ */
+function save() {
+  try {
+    writeJsonFile(OUTBOX_PATH, outbox);
+  } catch (error) {
+    logger.error('❌ Error saving record outbox', { path: OUTBOX_PATH, error });
+  }
+}
+
+/**
+ * Decide whether a failed write is worth retrying
+ * Rate limits, server errors and network failures are transient; other API errors are not
+ *
+ * @param {Error} error - Error thrown by a sink
+ * @returns {boolean} True if the write should be retried
+ */
+function isRetryable(error) {
+  const status = Number(error.code || (error.response && error.response.status));
+  if (!status || Number.isNaN(status)) {
+    return true; // Network errors (ECONNRESET, ETIMEDOUT, ...) have no HTTP status
+  }
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Move an entry from the pending queue to the dead-letter list
+ *
+ * @param {Object} entry - Outbox entry
+ * @param {string} reason - Final error message
+ */
+function deadLetter(entry, reason) {
+  outbox.pending = outbox.pending.filter(pending => pending.id !== entry.id);
+  outbox.deadLetters.push({ ...entry, failedAt: Date.now() });
+  logger.error(`☠️  Record outbox: ${entry.sink} write moved to dead letters`, { entryId: entry.id, userId: entry.data.discordUserId, attempts: entry.attempts, reason });
+}
+
+/**
+ * Schedule the next processing run for the earliest pending entry
+ */
+function scheduleNext() {
+  clearTimeout(timer);
+  timer = null;
+
+  if (outbox.pending.length === 0) return;
+
+  const nextAt = Math.min(...outbox.pending.map(entry => entry.nextAttemptAt));
+  timer = setTimeout(processOutbox, Math.max(0, nextAt - Date.now()));
+}
+
+/**
+ * Write every due entry to its sink, rescheduling or dead-lettering failures
+ */
+async function processOutbox() {
+  if (processing) return;
+  processing = true;
+
+  try {
+    const due = outbox.pending.filter(entry => entry.nextAttemptAt <= Date.now());
+
+    for (const entry of due) {
+      const sink = sinks.get(entry.sink);
+
+      if (!sink) {
+        entry.lastError = `Sink "${entry.sink}" is not configured`;
+        deadLetter(entry, entry.lastError);
+        save();
+        continue;
+      }
+
+      try {
+        await sink.write(entry.data);
+        outbox.pending = outbox.pending.filter(pending => pending.id !== entry.id);
+        logger.info(`📤 Record outbox: ${entry.sink} write done`, { entryId: entry.id, userId: entry.data.discordUserId, attempts: entry.attempts + 1 });
+      } catch (error) {
+        entry.attempts++;
+        entry.lastError = error.message;
+
+        if (!isRetryable(error) || entry.attempts >= MAX_ATTEMPTS) {
+          deadLetter(entry, error.message);
+        } else {
+          const delay = Math.min(BASE_DELAY_MS * 2 ** (entry.attempts - 1), MAX_DELAY_MS);
+          entry.nextAttemptAt = Date.now() + delay;
+          logger.warn(`⏳ Record outbox: ${entry.sink} write failed, retrying in ${Math.round(delay / 1000)}s`, { entryId: entry.id, userId: entry.data.discordUserId, attempts: entry.attempts, error });
+        }
+      }
+      save();
+    }
+  } finally {
+    processing = false;
+    scheduleNext();
+  }
+}
+
+/**
+ * Queue an onboarding record for every configured sink
+ * The record is on disk before this returns, so it survives a crash or restart
+ *
+ * @param {Object} record - Onboarding record
+ * @param {Object} record.answers - Onboarding answers keyed by question key
+ * @param {string} record.discordUserId - Discord user ID
+ * @param {string} record.discordUsername - Discord username
+ * @param {string} record.course - Course name
+ * @param {string} record.matchReason - How the learner was verified
+ * @param {string} [record.program] - Program from the roster
+ * @param {string} [record.batch] - Batch from the roster
+ * @param {string} [record.status] - active, departed or revoked
+ * @returns {string[]} Outbox entry IDs
+ */
+function enqueueRecord(record) {
+  const data = { ...record, onboardedAt: record.onboardedAt || Date.now() };
+
+  const entries = [...sinks.keys()].map(sinkName => ({
+    id: crypto.randomUUID(),
+    sink: sinkName,
+    data,
+    attempts: 0,
+    createdAt: Date.now(),
+    nextAttemptAt: Date.now(),
+    lastError: null
+  }));
+
+  outbox.pending.push(...entries);
+  save();
+  processOutbox();
+
+  return entries.map(entry => entry.id);
+}
+
+/**
+ * Move rows queued in the old Sheets-only outbox into this one as Google Sheets writes
+ * The old file is renamed afterwards so its rows are only imported once
+ */
+function importLegacyOutbox() {
+  if (!fs.existsSync(LEGACY_OUTBOX_PATH)) return;
+
+  try {
+    const legacy = readJsonFile(LEGACY_OUTBOX_PATH, { pending: [], deadLetters: [] });
+    // Old rows have no sink and were queued when onboarding finished
+    const toEntry = entry => ({
+      ...entry,
+      sink: 'sheets',
+      data: { ...entry.data, onboardedAt: entry.data.onboardedAt || entry.createdAt }
+    });
+
+    outbox.pending.push(...(legacy.pending || []).map(toEntry));
+    outbox.deadLetters.push(...(legacy.deadLetters || []).map(toEntry));
+    save();
+    fs.renameSync(LEGACY_OUTBOX_PATH, `${LEGACY_OUTBOX_PATH}.imported`);
+
+    logger.info(`📤 Record outbox: imported ${(legacy.pending || []).length} pending and ${(legacy.deadLetters || []).length} dead-lettered sheet write(s)`, { path: LEGACY_OUTBOX_PATH });
+  } catch (error) {
+    logger.error('❌ Error importing sheet outbox', { path: LEGACY_OUTBOX_PATH, error });
+  }
+}
+
+/**
+ * Initialize sinks, load queued records from disk and start processing them
+ */
+async function startOutbox() {
+  for (const sink of sinks.values()) {
+    if (sink.init) {
+      await sink.init().catch(error => logger.error(`❌ Error initializing ${sink.name} sink`, { error }));
+    }
+  }
+
+  try {
+    const saved = readJsonFile(OUTBOX_PATH, { pending: [], deadLetters: [] });
+    // Keep anything queued before the saved outbox was loaded
+    outbox = {
+      pending: [...saved.pending, ...outbox.pending],
+      deadLetters: [...saved.deadLetters, ...outbox.deadLetters]
+    };
+  } catch (error) {
+    logger.error('❌ Error loading record outbox', { path: OUTBOX_PATH, error });
+  }
+  importLegacyOutbox();
+
+  logger.info(`📤 Record outbox (${[...sinks.keys()].join(', ')}) started`, { pending: outbox.pending.length, deadLetters: outbox.deadLetters.length });
+  processOutbox();
+}
+
+/**
+ * @returns {{ pending: Object[], deadLetters: Object[] }} Current outbox contents
+ */
+function getOutbox() {
+  return outbox;
+}
+
+/**
+ * Move dead letters back into the pending queue for another round of attempts
+ *
+ * @param {string} [id] - Dead letter ID (or its prefix); replays all dead letters when omitted
+ * @returns {number} Number of entries requeued
+ */
+function replayDeadLetters(id) {
+  const toReplay = outbox.deadLetters.filter(entry => !id || entry.id.startsWith(id));
+
+  outbox.deadLetters = outbox.deadLetters.filter(entry => !toReplay.includes(entry));
+  for (const entry of toReplay) {
+    delete entry.failedAt;
+    outbox.pending.push({ ...entry, attempts: 0, nextAttemptAt: Date.now() });
+  }
+
+  save();
+  if (toReplay.length > 0) {
+    processOutbox();
+  }
+  return toReplay.length;
+}
+
+/**
+ * Read the stored onboarding records back from the first sink that supports it
+ *
+ * @returns {Promise<Object[]|null>} Records, or null if no configured sink can be read
+ */
+async function readStoredRecords() {
+  const sink = [...sinks.values()].find(candidate => candidate.readAll);
+  return sink ? sink.readAll() : null;
+}
+
+module.exports = {
+  enqueueRecord,
+  readStoredRecords,
+  startOutbox,
+  getOutbox,
+  replayDeadLetters
+};
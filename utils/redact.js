@@ -0,0 +1,86 @@
+/**
+ * Redaction Helpers
+ *
+ * Masks learners' personal details before they are shown outside the
+ * onboarding flow, e.g. in the audit log channel and application logs
+ */
+
+// Detail keys that hold personal contact details (matched case-insensitively)
+const SENSITIVE_KEYS = ['email', 'phone'];
+
+// Emails and 10-15 digit phone numbers inside free text
+// Discord IDs are 17+ digits, so the digit lookarounds keep them intact
+const EMAIL_PATTERN = /[^\s@<>()"'`,;:]+@[^\s@<>()"'`,;:]+\.[a-z]{2,}/gi;
+const PHONE_PATTERN = /(?<![\d+])\+?\d(?:[ -]?\d){9,14}(?!\d)/g;
+
+/**
+ * Mask an email address, keeping the first character and the domain
+ *
+ * @param {string} email - Email address
+ * @returns {string} Masked email (e.g., "j***@example.com")
+ */
+function maskEmail(email) {
+  const [local, domain] = String(email).split('@');
+  if (!domain) return '***';
+  return `${local.charAt(0)}***@${domain}`;
+}
+
+/**
+ * Mask a phone number, keeping the last 4 digits
+ *
+ * @param {string} phone - Phone number
+ * @returns {string} Masked phone (e.g., "******3210")
+ */
+function maskPhone(phone) {
+  const digits = String(phone).replace(/\D/g, '');
+  return digits.length > 4 ? `${'*'.repeat(digits.length - 4)}${digits.slice(-4)}` : '****';
+}
+
+/**
+ * Mask a person's name, keeping the first letter of each word
+ *
+ * @param {string} name - Full name
+ * @returns {string} Masked name (e.g., "J*** D***")
+ */
+function maskName(name) {
+  return String(name).split(/\s+/).filter(Boolean).map(word => `${word.charAt(0)}***`).join(' ');
+}
+
+/**
+ * Mask every email address and phone number found in a piece of text
+ *
+ * @param {string} text - Text that may contain contact details
+ * @returns {string} Text safe to display
+ */
+function redactText(text) {
+  return String(text)
+    .replace(EMAIL_PATTERN, maskEmail)
+    .replace(PHONE_PATTERN, maskPhone);
+}
+
+/**
+ * Copy an object with its email and phone values masked
+ *
+ * @param {Object} details - Key/value details
+ * @returns {Object} Details safe to display
+ */
+function maskDetails(details) {
+  const masked = {};
+  for (const [key, value] of Object.entries(details)) {
+    const type = key.toLowerCase();
+    if (!SENSITIVE_KEYS.includes(type) || !value) {
+      masked[key] = value;
+    } else {
+      masked[key] = type === 'email' ? maskEmail(value) : maskPhone(value);
+    }
+  }
+  return masked;
+}
+
+module.exports = {
+  maskEmail,
+  maskPhone,
+  maskName,
+  redactText,
+  maskDetails
+};
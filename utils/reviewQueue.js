@@ -0,0 +1,324 @@
+/**
+ * Review Queue Module
+ *
+ * Sends learners who could not be verified against the roster to a moderator
+ * review channel, where they can be approved, rejected or asked for more info
+ */
+
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const { isAdmin } = require('./permissions');
+const { QUESTIONS, QUESTION_ORDER } = require('./questions');
+const { getCourseName } = require('./inviteMap');
+const { getSessionChannel, closeFallbackThread } = require('./fallbackThread');
+const { forSession } = require('./logger');
+
+const COLORS = {
+  pending: 0xf1c40f,
+  approved: 0x2ecc71,
+  rejected: 0xe74c3c,
+  info: 0x3498db
+};
+
+/**
+ * The review queue is active whenever a review channel is configured
+ *
+ * @returns {boolean} True if failed verifications can be sent for review
+ */
+function isReviewEnabled() {
+  return Boolean(process.env.REVIEW_CHANNEL_ID);
+}
+
+/**
+ * Check whether a session is waiting on a moderator decision
+ *
+ * @param {Object} session - Onboarding session
+ * @returns {boolean} True if a review is pending
+ */
+function isUnderReview(session) {
+  return Boolean(session.review && session.review.status === 'pending');
+}
+
+/**
+ * Build the review embed for a session
+ *
+ * @param {Object} session - Onboarding session
+ * @param {string} reason - Why the learner needs review
+ * @returns {EmbedBuilder} Review embed
+ */
+function buildReviewEmbed(session, reason) {
+  const answerFields = QUESTION_ORDER.map(key => ({
+    name: QUESTIONS[key].column,
+    value: session.data[key] || '—',
+    inline: true
+  }));
+
+  return new EmbedBuilder()
+    .setTitle('📝 Onboarding review request')
+    .setColor(COLORS.pending)
+    .addFields(
+      ...answerFields,
+      { name: 'Discord', value: `<@${session.userId}> (${session.username})`, inline: true },
+      { name: 'Course', value: session.channelId ? `${getCourseName(session)} (<#${session.channelId}>)` : getCourseName(session), inline: true },
+      { name: 'Reason', value: reason }
+    )
+    .setTimestamp();
+}
+
+/**
+ * Build the moderator action buttons for a review
+ *
+ * @param {string} userId - User under review
+ * @returns {ActionRowBuilder} Button row
+ */
+function buildReviewButtons(userId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`review_approve:${userId}`).setLabel('Approve').setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId(`review_reject:${userId}`).setLabel('Reject').setStyle(ButtonStyle.Danger),
+    new ButtonBuilder().setCustomId(`review_info:${userId}`).setLabel('Request Info').setStyle(ButtonStyle.Secondary)
+  );
+}
+
+/**
+ * Post a session to the review channel
+ *
+ * @param {Object} session - Onboarding session that failed verification
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {Client} client - Discord client
+ * @param {string} reason - Why the learner needs review
+ * @returns {Promise<boolean>} True if the review was posted
+ */
+async function submitForReview(session, sessions, client, reason) {
+  if (isUnderReview(session)) {
+    return true;
+  }
+
+  try {
+    const channel = await client.channels.fetch(process.env.REVIEW_CHANNEL_ID);
+    const reviewMessage = await channel.send({
+      embeds: [buildReviewEmbed(session, reason)],
+      components: [buildReviewButtons(session.userId)],
+      allowedMentions: { parse: [] }
+    });
+
+    session.review = {
+      status: 'pending',
+      channelId: channel.id,
+      messageId: reviewMessage.id,
+      reason,
+      submittedAt: Date.now()
+    };
+    sessions.save();
+
+    forSession(session).info(`📝 Sent ${session.username} to the review queue (${reason})`);
+    return true;
+  } catch (error) {
+    forSession(session).error(`❌ Failed to post review request for ${session.username}`, { error });
+    return false;
+  }
+}
+
+/**
+ * Record a decision on the review message: recolor the embed, note the
+ * moderator and (for final decisions) remove the buttons
+ *
+ * @param {Message} reviewMessage - Review message in the review channel
+ * @param {string} status - approved | rejected | info
+ * @param {string} decision - Decision text shown in the embed
+ * @param {boolean} final - Whether the review is closed
+ */
+async function recordDecision(reviewMessage, status, decision, final) {
+  const embed = EmbedBuilder.from(reviewMessage.embeds[0])
+    .setColor(COLORS[status])
+    .addFields({ name: final ? 'Decision' : 'Update', value: decision });
+
+  await reviewMessage.edit({
+    embeds: [embed],
+    components: final ? [] : reviewMessage.components
+  });
+}
+
+/**
+ * Close a pending review when the user gets verified some other way
+ *
+ * @param {Object} session - Onboarding session
+ * @param {Client} client - Discord client
+ * @param {string} note - Why the review was closed
+ */
+async function closeReview(session, client, note) {
+  if (!isUnderReview(session)) return;
+
+  try {
+    const channel = await client.channels.fetch(session.review.channelId);
+    const reviewMessage = await channel.messages.fetch(session.review.messageId);
+    await recordDecision(reviewMessage, 'approved', note, true);
+  } catch (error) {
+    forSession(session).error(`❌ Failed to close review for ${session.username}`, { error });
+  }
+  session.review.status = 'closed';
+}
+
+/**
+ * Build a modal asking the moderator for a message to the user
+ *
+ * @param {string} customId - Modal custom ID
+ * @param {string} title - Modal title
+ * @param {string} label - Text input label
+ * @returns {ModalBuilder} Modal
+ */
+function buildMessageModal(customId, title, label) {
+  const input = new TextInputBuilder()
+    .setCustomId('message')
+    .setLabel(label)
+    .setStyle(TextInputStyle.Paragraph)
+    .setRequired(true)
+    .setMaxLength(1000);
+
+  return new ModalBuilder()
+    .setCustomId(customId)
+    .setTitle(title)
+    .addComponents(new ActionRowBuilder().addComponents(input));
+}
+
+/**
+ * Handle the Approve / Reject / Request Info buttons in the review channel
+ *
+ * @param {ButtonInteraction} interaction - Button interaction
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {Client} client - Discord client
+ */
+async function handleReviewButton(interaction, sessions, client) {
+  if (!isAdmin(interaction.member)) {
+    await interaction.reply({ content: '🚫 You do not have permission to review onboarding requests.', ephemeral: true });
+    return;
+  }
+
+  const [action, userId] = interaction.customId.split(':');
+  const session = sessions.get(userId);
+
+  if (!session || !isUnderReview(session)) {
+    await interaction.reply({ content: 'ℹ️ This review is no longer pending.', ephemeral: true });
+    return;
+  }
+
+  if (action === 'review_reject') {
+    await interaction.showModal(buildMessageModal(`review_reject_modal:${userId}`, 'Reject onboarding', 'Reason (sent to the user)'));
+    return;
+  }
+
+  if (action === 'review_info') {
+    await interaction.showModal(buildMessageModal(`review_info_modal:${userId}`, 'Request more info', 'What do you need from the user?'));
+    return;
+  }
+
+  // Approve: run the normal role, channel and sheet steps
+  await interaction.deferUpdate();
+  const { completeOnboarding } = require('./onboarding');
+  const moderator = interaction.user.tag;
+
+  try {
+    session.review.status = 'approved';
+    // Learners held for a name mismatch are on the roster, so keep their program, batch and match
+    session.verification = session.verification && session.verification.flagged
+      ? { ...session.verification, matchReason: `${session.verification.matchReason}, approved by ${moderator}`, flagged: false }
+      : { matchReason: `manual review (approved by ${moderator})`, flagged: false };
+
+    const channel = await getSessionChannel(client, session);
+    await completeOnboarding(channel, session, sessions, client);
+
+    await recordDecision(interaction.message, 'approved', `✅ Approved by ${interaction.user} (${moderator}) <t:${Math.floor(Date.now() / 1000)}:f>`, true);
+    forSession(session).info(`✅ Review: ${moderator} approved ${session.username}`);
+  } catch (error) {
+    session.review.status = 'pending';
+    sessions.save();
+    forSession(session).error(`❌ Review approval failed for ${session.username}`, { error });
+    await interaction.followUp({ content: `❌ Approval failed: ${error.message}`, ephemeral: true });
+  }
+}
+
+/**
+ * Handle the reject / request-info modals submitted by moderators
+ *
+ * @param {ModalSubmitInteraction} interaction - Modal submit interaction
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {Client} client - Discord client
+ */
+async function handleReviewModal(interaction, sessions, client) {
+  // Modal submits are separate interactions, so the button's check doesn't carry over
+  if (!isAdmin(interaction.member)) {
+    await interaction.reply({ content: '🚫 You do not have permission to review onboarding requests.', ephemeral: true });
+    return;
+  }
+
+  const [action, userId] = interaction.customId.split(':');
+  const session = sessions.get(userId);
+  const text = interaction.fields.getTextInputValue('message');
+  const moderator = interaction.user.tag;
+  const decidedAt = `<t:${Math.floor(Date.now() / 1000)}:f>`;
+
+  if (!session || !isUnderReview(session)) {
+    await interaction.reply({ content: 'ℹ️ This review is no longer pending.', ephemeral: true });
+    return;
+  }
+
+  await interaction.deferUpdate();
+  const channel = await getSessionChannel(client, session);
+
+  if (action === 'review_reject_modal') {
+    await channel.send(`❌ **Your onboarding request was not approved.**\n\n**Reason:** ${text}\n\nIf you think this is a mistake, please contact our support team through your dashboard.`)
+      .catch(error => forSession(session).error(`❌ Failed to send rejection to ${session.username}`, { error }));
+
+    await recordDecision(interaction.message, 'rejected', `❌ Rejected by ${interaction.user} (${moderator}) ${decidedAt}\n**Reason:** ${text}`, true);
+    sessions.delete(userId);
+    await closeFallbackThread(client, session, { delay: true });
+    forSession(session).info(`❌ Review: ${moderator} rejected ${session.username} - ${text}`);
+    return;
+  }
+
+  // Request info: ask the user, keep the review open and forward their replies
+  await channel.send(`🔎 **Our team needs a bit more information to verify you:**\n\n${text}\n\nJust reply here and we'll pass it on.`)
+    .catch(error => forSession(session).error(`❌ Failed to send info request to ${session.username}`, { error }));
+
+  await recordDecision(interaction.message, 'info', `🔎 Info requested by ${interaction.user} (${moderator}) ${decidedAt}\n${text}`, false);
+  forSession(session).info(`🔎 Review: ${moderator} requested info from ${session.username}`);
+}
+
+/**
+ * Forward a DM from a user under review to the review channel
+ *
+ * @param {Message} message - User's DM
+ * @param {Object} session - Onboarding session under review
+ * @param {Client} client - Discord client
+ */
+async function forwardToReview(message, session, client) {
+  try {
+    const channel = await client.channels.fetch(session.review.channelId);
+    const reviewMessage = await channel.messages.fetch(session.review.messageId);
+
+    await reviewMessage.reply({
+      content: `💬 **${session.username}** replied:\n>>> ${message.content.substring(0, 1800)}`,
+      allowedMentions: { parse: [] }
+    });
+    await message.channel.send('📨 Thanks! Your message has been passed on to our team.');
+  } catch (error) {
+    forSession(session).error(`❌ Failed to forward message from ${session.username}`, { error });
+    await message.channel.send('⏳ Your details are with our team for review. We\'ll get back to you here soon.');
+  }
+}
+
+module.exports = {
+  isReviewEnabled,
+  isUnderReview,
+  submitForReview,
+  closeReview,
+  handleReviewButton,
+  handleReviewModal,
+  forwardToReview
+};
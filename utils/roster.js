@@ -0,0 +1,321 @@
+/**
+ * Paid Learner Roster Module
+ *
+ * Loads the paid learner roster (JSON or CSV export from the LMS) once,
+ * indexes it by email and phone, and reloads it when the file changes.
+ * A file that fails to parse never replaces the last good roster.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const ROSTER_PATH = path.resolve(
+  process.env.ROSTER_PATH || path.join(__dirname, '..', 'paidLearners.json')
+);
+
+// How often to check the roster file for changes
+const WATCH_INTERVAL_MS = 2000;
+
+// Maximum number of schema errors printed per reload
+const MAX_LOGGED_ERRORS = 10;
+
+// CSV header aliases (compared lowercase with non-alphanumerics removed)
+const CSV_COLUMNS = {
+  name: ['name', 'fullname', 'learnername', 'studentname'],
+  email: ['email', 'emailaddress', 'emailid', 'learneremail'],
+  phone: ['phone', 'phonenumber', 'mobile', 'mobilenumber', 'contact', 'contactnumber'],
+  program: ['program', 'programme', 'course', 'coursename'],
+  batch: ['batch', 'batchname', 'cohort']
+};
+
+let roster = {
+  byEmail: new Map(),
+  byPhone: new Map(),
+  size: 0,
+  loadedAt: null
+};
+
+/**
+ * Normalize an email for lookups (case-insensitive, trimmed)
+ *
+ * @param {string} email - Email address
+ * @returns {string} Normalized email
+ */
+function normalizeEmail(email) {
+  return String(email || '').toLowerCase().trim();
+}
+
+/**
+ * Normalize a phone number for lookups
+ * Uses the last 10 digits so "+91 98765 43210" and "9876543210" match
+ *
+ * @param {string} phone - Phone number
+ * @returns {string} Normalized phone, or '' if it has too few digits
+ */
+function normalizePhone(phone) {
+  const digitsOnly = String(phone || '').replace(/\D/g, '');
+  return digitsOnly.length >= 10 ? digitsOnly.slice(-10) : '';
+}
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180: quoted fields, "" escapes, embedded newlines)
+ *
+ * @param {string} text - CSV content
+ * @returns {string[][]} Rows of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Convert CSV text into learner objects using the header row
+ *
+ * @param {string} text - CSV content
+ * @returns {Object[]} Learner records
+ */
+function csvToLearners(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    return [];
+  }
+
+  const normalizedHeader = header.map(column => column.toLowerCase().replace(/[^a-z0-9]/g, ''));
+  const columnIndex = {};
+  for (const [field, aliases] of Object.entries(CSV_COLUMNS)) {
+    columnIndex[field] = normalizedHeader.findIndex(column => aliases.includes(column));
+  }
+
+  if (columnIndex.email === -1 && columnIndex.phone === -1) {
+    throw new Error(`CSV header has no email or phone column: ${header.join(', ')}`);
+  }
+
+  return rows.map(fields => {
+    const learner = {};
+    for (const [field, index] of Object.entries(columnIndex)) {
+      if (index !== -1) {
+        learner[field] = (fields[index] || '').trim();
+      }
+    }
+    return learner;
+  });
+}
+
+/**
+ * Parse roster file content based on its extension
+ *
+ * @param {string} content - File content
+ * @param {string} filePath - Roster file path
+ * @returns {Object[]} Learner records
+ */
+function parseRoster(content, filePath) {
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    return csvToLearners(content);
+  }
+
+  const learners = JSON.parse(content);
+  if (!Array.isArray(learners)) {
+    throw new Error('JSON roster must be an array of learners');
+  }
+  return learners;
+}
+
+/**
+ * Build email and phone indexes, collecting schema errors for bad rows
+ *
+ * @param {Object[]} learners - Learner records
+ * @returns {{ byEmail: Map, byPhone: Map, size: number, errors: string[] }}
+ */
+function buildIndex(learners) {
+  const byEmail = new Map();
+  const byPhone = new Map();
+  const errors = [];
+  let size = 0;
+
+  learners.forEach((learner, index) => {
+    const row = `row ${index + 1}`;
+
+    if (!learner || typeof learner !== 'object') {
+      errors.push(`${row}: not an object`);
+      return;
+    }
+
+    const email = normalizeEmail(learner.email);
+    const phone = normalizePhone(learner.phone);
+
+    if (!email && !phone) {
+      errors.push(`${row}: missing both email and a valid phone`);
+      return;
+    }
+
+    const record = {
+      name: learner.name || '',
+      email: learner.email || '',
+      phone: learner.phone ? String(learner.phone) : '',
+      program: learner.program || '',
+      batch: learner.batch || ''
+    };
+
+    if (email) {
+      if (byEmail.has(email)) {
+        errors.push(`${row}: duplicate email ${email} (keeping the first entry)`);
+      } else {
+        byEmail.set(email, record);
+      }
+    }
+    if (phone) {
+      if (byPhone.has(phone)) {
+        errors.push(`${row}: duplicate phone ${phone} (keeping the first entry)`);
+      } else {
+        byPhone.set(phone, record);
+      }
+    }
+    size++;
+  });
+
+  return { byEmail, byPhone, size, errors };
+}
+
+/**
+ * Read and index the roster file, replacing the current roster only on success
+ *
+ * @returns {Promise<boolean>} True if the roster was (re)loaded
+ */
+async function loadRoster() {
+  try {
+    const content = await fs.promises.readFile(ROSTER_PATH, 'utf8');
+    const learners = parseRoster(content, ROSTER_PATH);
+    const index = buildIndex(learners);
+
+    // An empty result usually means a truncated or half-written export
+    if (index.size === 0 && roster.size > 0) {
+      throw new Error(`No valid learners found (${index.errors.length} schema error(s))`);
+    }
+
+    roster = {
+      byEmail: index.byEmail,
+      byPhone: index.byPhone,
+      size: index.size,
+      loadedAt: Date.now()
+    };
+
+    logger.info(`📚 Loaded paid learner roster from ${path.basename(ROSTER_PATH)}`, { learners: index.size, emails: index.byEmail.size, phones: index.byPhone.size });
+
+    if (index.errors.length > 0) {
+      logger.warn(`⚠️  ${index.errors.length} roster row(s) have schema errors:`);
+      for (const error of index.errors.slice(0, MAX_LOGGED_ERRORS)) {
+        logger.warn(`   - ${error}`);
+      }
+      if (index.errors.length > MAX_LOGGED_ERRORS) {
+        logger.warn(`   …and ${index.errors.length - MAX_LOGGED_ERRORS} more`);
+      }
+    }
+    return true;
+  } catch (error) {
+    logger.error('❌ Failed to load roster', { path: ROSTER_PATH, error });
+    if (roster.loadedAt) {
+      logger.error(`   Keeping the previous roster (${roster.size} learner(s))`);
+    }
+    return false;
+  }
+}
+
+/**
+ * Load the roster and reload it whenever the file changes
+ *
+ * @returns {Promise<boolean>} True if the initial load succeeded
+ */
+async function watchRoster() {
+  const loaded = await loadRoster();
+
+  // Polling survives editors and deploy tools that replace the file instead of writing in place
+  fs.watchFile(ROSTER_PATH, { interval: WATCH_INTERVAL_MS }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) {
+      logger.info('🔄 Roster file changed, reloading...');
+      loadRoster();
+    }
+  });
+
+  return loaded;
+}
+
+/**
+ * Find a learner by email
+ *
+ * @param {string} email - Email address
+ * @returns {Object|null} Learner record
+ */
+function findByEmail(email) {
+  return roster.byEmail.get(normalizeEmail(email)) || null;
+}
+
+/**
+ * Find a learner by phone number
+ *
+ * @param {string} phone - Phone number in any format
+ * @returns {Object|null} Learner record
+ */
+function findByPhone(phone) {
+  const normalized = normalizePhone(phone);
+  return normalized ? roster.byPhone.get(normalized) || null : null;
+}
+
+/**
+ * @returns {{ size: number, loadedAt: number|null }} Current roster summary
+ */
+function getRosterInfo() {
+  return { size: roster.size, loadedAt: roster.loadedAt };
+}
+
+module.exports = {
+  loadRoster,
+  watchRoster,
+  findByEmail,
+  findByPhone,
+  getRosterInfo,
+  normalizeEmail,
+  normalizePhone,
+  parseCsv
+};
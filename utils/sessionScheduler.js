@@ -0,0 +1,391 @@
+/**
+ * Session Scheduler Module
+ *
+ * Keeps pending onboarding sessions moving: reminds members who go quiet,
+ * expires sessions nobody comes back to, optionally kicks or tags members who
+ * are still not onboarded after a deadline, and posts a daily digest of
+ * stalled members for admins. Everything is driven by timestamps saved in the
+ * session file and data/scheduler.json, so restarts don't reset the clock.
+ */
+
+const { dataPath, readJsonFile, writeJsonFile } = require('./storage');
+const { getSessionChannel, closeFallbackThread } = require('./fallbackThread');
+const { isUnderReview } = require('./reviewQueue');
+const { isAdmin } = require('./permissions');
+const { EVENT_TYPES, emitOnboardingEvent } = require('./onboardingEvents');
+const { logger, forSession, forMember } = require('./logger');
+const {
+  QUESTIONS,
+  QUESTION_ORDER,
+  ONBOARDING_MODE,
+  formatQuestion,
+  isAwaitingCode,
+  isAwaitingCourse,
+  isAwaitingConfirmation
+} = require('./onboarding');
+
+const SCHEDULER_PATH = dataPath('scheduler.json');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// How often the scheduler checks sessions
+const CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+// Hours of inactivity after which each reminder is sent, e.g. "24,72" (empty disables reminders)
+const REMINDER_HOURS = (process.env.REMINDER_HOURS === undefined ? '24,72' : process.env.REMINDER_HOURS)
+  .split(',')
+  .map(hours => Number(hours.trim()))
+  .filter(hours => hours > 0)
+  .sort((a, b) => a - b);
+
+// Days of inactivity after which a session is dropped (0 disables expiry)
+const SESSION_EXPIRY_MS = Number(process.env.SESSION_EXPIRY_DAYS || 7) * DAY_MS;
+
+// Days after joining by which a member must be onboarded (0 or unset disables the deadline)
+const DEADLINE_MS = Number(process.env.ONBOARDING_DEADLINE_DAYS || 0) * DAY_MS;
+
+// What happens at the deadline: "tag" adds ONBOARDING_OVERDUE_ROLE, "kick" removes the member
+const DEADLINE_ACTION = process.env.ONBOARDING_DEADLINE_ACTION === 'kick' ? 'kick' : 'tag';
+const OVERDUE_ROLE_NAME = process.env.ONBOARDING_OVERDUE_ROLE || 'Onboarding Overdue';
+
+// Daily digest of stalled members, posted at this UTC hour
+const DIGEST_CHANNEL_ID = process.env.DIGEST_CHANNEL_ID || process.env.REVIEW_CHANNEL_ID;
+const DIGEST_HOUR_UTC = Number(process.env.DIGEST_HOUR_UTC || 9);
+
+// Keep digest messages under Discord's 2000 character limit
+const MAX_DIGEST_ENTRIES = 25;
+
+// { deadlines: { userId: { guildId, deadlineAt } }, lastDigestDate }
+// Deadlines outlive sessions, so a member whose session expired is still checked
+let state = null;
+
+function getState() {
+  if (!state) {
+    try {
+      state = { deadlines: {}, lastDigestDate: null, ...readJsonFile(SCHEDULER_PATH, {}) };
+    } catch (error) {
+      logger.error(`❌ Error loading scheduler state from ${SCHEDULER_PATH}`, { error });
+      state = { deadlines: {}, lastDigestDate: null };
+    }
+  }
+  return state;
+}
+
+function saveState() {
+  try {
+    writeJsonFile(SCHEDULER_PATH, getState());
+  } catch (error) {
+    logger.error(`❌ Error saving scheduler state to ${SCHEDULER_PATH}`, { error });
+  }
+}
+
+/**
+ * Record that a member did something in their onboarding (message, button, form)
+ *
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {string} userId - Discord user ID
+ */
+function touchSession(sessions, userId) {
+  const session = sessions.get(userId);
+  if (!session) return;
+
+  session.lastActivityAt = Date.now();
+  session.remindersSent = 0;
+  sessions.save();
+}
+
+/**
+ * Start a member's onboarding deadline from when they joined
+ * Called on join, so members the bot can't reach or who cancel straight away are covered too
+ *
+ * @param {GuildMember} member - Member who joined
+ */
+function trackDeadline(member) {
+  if (!DEADLINE_MS || member.user.bot) return;
+
+  // A rejoining member starts a fresh deadline
+  getState().deadlines[member.id] = { guildId: member.guild.id, deadlineAt: member.joinedTimestamp + DEADLINE_MS };
+  saveState();
+}
+
+/**
+ * @param {Object} session - Onboarding session
+ * @returns {number} Timestamp of the member's last onboarding activity
+ */
+function lastActivity(session) {
+  return session.lastActivityAt || session.startedAt;
+}
+
+/**
+ * Sessions waiting on moderators or a lockout aren't the member's to move
+ *
+ * @param {Object} session - Onboarding session
+ * @returns {boolean} True if reminders and expiry apply
+ */
+function isWaitingOnMember(session) {
+  return !isUnderReview(session) && !(session.lockedUntil && Date.now() < session.lockedUntil);
+}
+
+/**
+ * Describe where a member stopped, for reminders and the digest
+ *
+ * @param {Object} session - Onboarding session
+ * @returns {string} Short description
+ */
+function describeStage(session) {
+  if (!session.started) return 'never clicked Start';
+  if (isAwaitingCode(session)) return 'waiting for the email code';
+  if (isAwaitingConfirmation(session)) return 'at the answer summary';
+  if (isAwaitingCourse(session)) return 'choosing a course';
+  if (session.currentStep >= QUESTION_ORDER.length) return 'failed verification';
+  return `stopped at step ${session.currentStep + 1}/${QUESTION_ORDER.length} (${QUESTIONS[QUESTION_ORDER[session.currentStep]].label})`;
+}
+
+/**
+ * Build the reminder for where the member stopped
+ *
+ * @param {Object} session - Onboarding session
+ * @returns {string} Reminder text
+ */
+function buildReminder(session) {
+  const intro = '👋 **Just a reminder:** you haven\'t finished onboarding yet, so your course channels are still locked.';
+
+  if (!session.started) {
+    return `${intro}\n\nClick **Start Onboarding** on the welcome message above to get started. It only takes a minute!`;
+  }
+  if (isAwaitingCode(session)) {
+    return `${intro}\n\nPlease enter the 6-digit code we emailed to **${session.otp.email}** to continue.`;
+  }
+  if (isAwaitingConfirmation(session)) {
+    return `${intro}\n\nYour answers are ready. Please check them and click **Confirm** on the summary above.`;
+  }
+  if (isAwaitingCourse(session)) {
+    return `${intro}\n\nYou're verified! Pick your course from the menu above to finish.`;
+  }
+  if (session.currentStep >= QUESTION_ORDER.length) {
+    return `${intro}\n\nUse the buttons above to try again or edit your details.`;
+  }
+  if (ONBOARDING_MODE === 'modal') {
+    return `${intro}\n\nClick **Start Onboarding** above to fill in your details.`;
+  }
+  return `${intro}\n\nLet's pick up where you left off:\n\n${formatQuestion(QUESTIONS[QUESTION_ORDER[session.currentStep]])}`;
+}
+
+/**
+ * Send the next reminder if the member has been quiet long enough
+ *
+ * @param {Object} session - Onboarding session
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {Client} client - Discord client
+ */
+async function sendDueReminder(session, sessions, client) {
+  const sent = session.remindersSent || 0;
+  if (sent >= REMINDER_HOURS.length || Date.now() - lastActivity(session) < REMINDER_HOURS[sent] * HOUR_MS) {
+    return;
+  }
+
+  // Count it even if it fails, so a closed DM isn't retried every check
+  session.remindersSent = sent + 1;
+  sessions.save();
+
+  try {
+    const channel = await getSessionChannel(client, session);
+    await channel.send(buildReminder(session));
+    forSession(session).info(`⏰ Sent reminder ${sent + 1}/${REMINDER_HOURS.length} to ${session.username} (${describeStage(session)})`);
+  } catch (error) {
+    forSession(session).error(`❌ Failed to remind ${session.username}`, { error });
+  }
+}
+
+/**
+ * Drop a session nobody has touched for SESSION_EXPIRY_DAYS
+ *
+ * @param {Object} session - Onboarding session
+ * @param {Collection} sessions - Active onboarding sessions
+ * @param {Client} client - Discord client
+ */
+async function expireSession(session, sessions, client) {
+  sessions.delete(session.userId);
+  forSession(session).info(`⌛ Expired onboarding session for ${session.username} (${describeStage(session)})`);
+  emitOnboardingEvent(EVENT_TYPES.ONBOARDING_EXPIRED, { session, outcome: `No activity for ${SESSION_EXPIRY_MS / DAY_MS} day(s) - ${describeStage(session)}` });
+
+  try {
+    const channel = await getSessionChannel(client, session);
+    await channel.send('⌛ **Your onboarding session has expired** because we didn\'t hear from you for a while.\n\nIf you still need access, ask a moderator to restart your onboarding.');
+  } catch (error) {
+    forSession(session).error(`❌ Failed to tell ${session.username} their session expired`, { error });
+  }
+  await closeFallbackThread(client, session, { delay: true });
+}
+
+/**
+ * Kick or tag a member who still isn't onboarded at their deadline
+ *
+ * @param {Client} client - Discord client
+ * @param {string} userId - Discord user ID
+ * @param {string} guildId - Guild ID
+ * @param {Collection} sessions - Active onboarding sessions
+ */
+async function enforceDeadline(client, userId, guildId, sessions) {
+  const guild = client.guilds.cache.get(guildId);
+  const member = guild && await guild.members.fetch(userId).catch(() => null);
+  const learnerRoleName = process.env.LEARNER_ROLE_NAME || 'Learner';
+
+  // Left, onboarded in the meantime, or staff
+  if (!member || member.roles.cache.some(role => role.name === learnerRoleName) || isAdmin(member)) {
+    return;
+  }
+
+  const role = guild.roles.cache.find(existing => existing.name === OVERDUE_ROLE_NAME);
+  if (DEADLINE_ACTION === 'tag' && !role) {
+    forMember(member).warn(`⚠️  Role "${OVERDUE_ROLE_NAME}" not found in guild ${guild.name}; can't tag ${member.user.tag}`);
+    return;
+  }
+
+  const session = sessions.get(userId);
+  emitOnboardingEvent(EVENT_TYPES.ONBOARDING_OVERDUE, {
+    session,
+    userId,
+    username: member.user.tag,
+    guildId,
+    outcome: DEADLINE_ACTION === 'kick' ? 'Removed from the server: not onboarded in time' : `Tagged "${OVERDUE_ROLE_NAME}": not onboarded in time`
+  });
+
+  // Drop the session first so a kick isn't also counted as the member leaving mid-onboarding
+  if (session) {
+    sessions.delete(userId);
+    await closeFallbackThread(client, session);
+  }
+
+  if (DEADLINE_ACTION === 'kick') {
+    await member.send(`👋 You've been removed from **${guild.name}** because onboarding wasn't completed in time. You're welcome to rejoin with your invite link and finish onboarding whenever you're ready.`)
+      .catch(() => {});
+    await member.kick('Onboarding not completed before the deadline');
+    forMember(member).info(`🥾 Kicked ${member.user.tag}: not onboarded before the deadline`);
+  } else {
+    await member.roles.add(role, 'Onboarding not completed before the deadline');
+    forMember(member).info(`🏷️  Tagged ${member.user.tag} as "${OVERDUE_ROLE_NAME}": not onboarded before the deadline`);
+  }
+}
+
+/**
+ * Apply reminders, expiry and deadlines to every pending session
+ *
+ * @param {Client} client - Discord client
+ * @param {Collection} sessions - Active onboarding sessions
+ */
+async function checkSessions(client, sessions) {
+  const now = Date.now();
+  const { deadlines } = getState();
+
+  for (const session of [...sessions.values()]) {
+    try {
+      // Members who joined while the bot was offline (welcomed by a backfill or a restart)
+      // have no deadline from their join, so theirs counts from the welcome message
+      if (DEADLINE_MS && !deadlines[session.userId]) {
+        deadlines[session.userId] = { guildId: session.guildId, deadlineAt: session.startedAt + DEADLINE_MS };
+        saveState();
+      }
+
+      if (!isWaitingOnMember(session)) continue;
+
+      if (SESSION_EXPIRY_MS && now - lastActivity(session) >= SESSION_EXPIRY_MS) {
+        await expireSession(session, sessions, client);
+      } else {
+        await sendDueReminder(session, sessions, client);
+      }
+    } catch (error) {
+      forSession(session).error(`❌ Scheduler failed for ${session.username}`, { error });
+    }
+  }
+
+  for (const [userId, { guildId, deadlineAt }] of Object.entries(deadlines)) {
+    if (now < deadlineAt) continue;
+
+    try {
+      // Members under review wait for the moderators, not the deadline
+      const session = sessions.get(userId);
+      if (session && !isWaitingOnMember(session)) continue;
+
+      await enforceDeadline(client, userId, guildId, sessions);
+    } catch (error) {
+      logger.error('❌ Failed to enforce onboarding deadline', { guildId, userId, error });
+    }
+    delete deadlines[userId];
+    saveState();
+  }
+}
+
+/**
+ * Post the daily list of members who have stalled in onboarding
+ *
+ * @param {Client} client - Discord client
+ * @param {Collection} sessions - Active onboarding sessions
+ */
+async function sendDigestIfDue(client, sessions) {
+  const now = new Date();
+  const today = now.toISOString().slice(0, 10);
+
+  if (!DIGEST_CHANNEL_ID || now.getUTCHours() < DIGEST_HOUR_UTC || getState().lastDigestDate === today) {
+    return;
+  }
+
+  getState().lastDigestDate = today;
+  saveState();
+
+  try {
+    const channel = await client.channels.fetch(DIGEST_CHANNEL_ID);
+    const stalledAfter = (REMINDER_HOURS[0] || 24) * HOUR_MS;
+    const stalled = sessions
+      .filter(session => session.guildId === channel.guildId && Date.now() - lastActivity(session) >= stalledAfter)
+      .sort((a, b) => lastActivity(a) - lastActivity(b));
+
+    if (stalled.size === 0) {
+      logger.info('🗓️  No stalled onboarding sessions for the daily digest');
+      return;
+    }
+
+    const lines = [...stalled.values()]
+      .slice(0, MAX_DIGEST_ENTRIES)
+      .map(session => `• <@${session.userId}> — ${describeStage(session)}${isUnderReview(session) ? ' (under review)' : ''} — last active <t:${Math.floor(lastActivity(session) / 1000)}:R>, ${session.remindersSent || 0} reminder(s)`);
+
+    if (stalled.size > MAX_DIGEST_ENTRIES) {
+      lines.push(`_…and ${stalled.size - MAX_DIGEST_ENTRIES} more (see \`/onboarding list\`)_`);
+    }
+
+    await channel.send({
+      content: `🗓️ **Daily onboarding digest: ${stalled.size} stalled member(s)**\n${lines.join('\n')}`,
+      allowedMentions: { parse: [] }
+    });
+    logger.info(`🗓️  Posted daily digest: ${stalled.size} stalled member(s)`);
+  } catch (error) {
+    logger.error('❌ Failed to post the daily onboarding digest', { error });
+  }
+}
+
+/**
+ * Start checking sessions on a timer, beginning straight away so anything
+ * that fell due while the bot was offline is handled on startup
+ *
+ * @param {Client} client - Discord client
+ * @param {Collection} sessions - Active onboarding sessions
+ */
+function startSessionScheduler(client, sessions) {
+  const run = async () => {
+    await checkSessions(client, sessions);
+    await sendDigestIfDue(client, sessions);
+  };
+
+  run();
+  setInterval(run, CHECK_INTERVAL_MS);
+
+  const deadline = DEADLINE_MS ? `, ${DEADLINE_ACTION} after ${DEADLINE_MS / DAY_MS}d` : '';
+  logger.info(`⏰ Session scheduler: reminders after ${REMINDER_HOURS.join('h, ') || 'none'}${REMINDER_HOURS.length ? 'h' : ''}, expiry after ${SESSION_EXPIRY_MS / DAY_MS || 'no'}d${deadline}`);
+}
+
+module.exports = {
+  touchSession,
+  trackDeadline,
+  startSessionScheduler
+};
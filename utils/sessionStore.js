@@ -0,0 +1,84 @@
+/**
+ * Session Store Module
+ *
+ * Durable storage for onboarding sessions so a restart does not drop
+ * users who are halfway through onboarding
+ */
+
+const { Collection } = require('discord.js');
+const { dataPath, readJsonFile, writeJsonFile } = require('./storage');
+const { logger } = require('./logger');
+
+/**
+ * Collection of onboarding sessions (userId -> session data) backed by a JSON file
+ *
+ * Adding or removing a session is saved automatically. Code that mutates a
+ * session in place (e.g. advancing `currentStep`) must call `save()` afterwards.
+ */
+class SessionStore extends Collection {
+  /**
+   * Derived collections (filter, map, ...) are plain in-memory Collections
+   */
+  static get [Symbol.species]() {
+    return Collection;
+  }
+
+  /**
+   * @param {string} [filePath] - JSON file to persist sessions to
+   */
+  constructor(filePath = process.env.SESSION_STORE_PATH || dataPath('sessions.json')) {
+    super();
+    this.filePath = filePath;
+  }
+
+  /**
+   * Load saved sessions from disk, replacing the in-memory contents
+   *
+   * @returns {number} Number of sessions loaded
+   */
+  load() {
+    try {
+      const saved = readJsonFile(this.filePath, []);
+      super.clear();
+      for (const session of saved) {
+        super.set(session.userId, session);
+      }
+      return this.size;
+    } catch (error) {
+      logger.error('❌ Error loading sessions', { path: this.filePath, error });
+      return 0;
+    }
+  }
+
+  /**
+   * Write all sessions to disk
+   */
+  save() {
+    try {
+      writeJsonFile(this.filePath, [...this.values()]);
+    } catch (error) {
+      logger.error('❌ Error saving sessions', { path: this.filePath, error });
+    }
+  }
+
+  set(userId, session) {
+    super.set(userId, session);
+    this.save();
+    return this;
+  }
+
+  delete(userId) {
+    const deleted = super.delete(userId);
+    if (deleted) {
+      this.save();
+    }
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.save();
+  }
+}
+
+module.exports = { SessionStore };
@@ -6,8 +6,98 @@
 
 const { google } = require('googleapis');
 const path = require('path');
+const { QUESTIONS, QUESTION_ORDER } = require('./questions');
+const { logger } = require('./logger');
 
 let sheetsClient = null;
+let sheetsAuth = null;
+
+// Sheet name to write to
+const SHEET_NAME = process.env.SHEET_NAME || 'Sheet1';
+
+/**
+ * Column headers: onboarding timestamp, one column per configured question, then Discord details
+ * Columns added later (Last Onboarded, Discord User ID, Program, Batch, Status) come last so
+ * rows written by older versions keep their columns. Rows are written by header name, so
+ * sheets with a different column order keep working too.
+ */
+const HEADERS = [
+  'First Onboarded',
+  ...QUESTION_ORDER.map(key => QUESTIONS[key].column),
+  'Discord Username',
+  'Course',
+  'Match Reason',
+  'Last Onboarded',
+  'Discord User ID',
+  'Program',
+  'Batch',
+  'Status'
+];
+
+// Old header name -> current name, for columns that were renamed without changing their data
+const RENAMED_HEADERS = {
+  Timestamp: 'First Onboarded',
+  Channel: 'Course'
+};
+
+// Columns used to find a learner's existing row
+const FIRST_ONBOARDED_HEADER = 'First Onboarded';
+const USER_ID_HEADER = 'Discord User ID';
+const EMAIL_HEADER = QUESTIONS.email ? QUESTIONS.email.column : null;
+
+// Headers in the order they appear in the sheet, loaded from the header row
+let sheetColumns = null;
+
+/**
+ * Convert a 1-based column number to its A1 letter (1 -> A, 27 -> AA)
+ *
+ * @param {number} columnNumber - 1-based column number
+ * @returns {string} Column letter
+ */
+function columnLetter(columnNumber) {
+  let letter = '';
+  let remaining = columnNumber;
+  while (remaining > 0) {
+    const offset = (remaining - 1) % 26;
+    letter = String.fromCharCode(65 + offset) + letter;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return letter;
+}
+
+/**
+ * Format a time as an IST timestamp (Asia/Kolkata)
+ *
+ * @param {number} ms - Time in milliseconds
+ * @returns {string} Formatted timestamp
+ */
+function formatTimestamp(ms) {
+  return new Date(ms).toLocaleString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false
+  });
+}
+
+/**
+ * Parse a timestamp written by formatTimestamp
+ *
+ * @param {string} text - IST timestamp (e.g., "21/03/2025, 14:05:00")
+ * @returns {number|null} Time in milliseconds, or null if it can't be read
+ */
+function parseTimestamp(text) {
+  const match = /^(\d{2})\/(\d{2})\/(\d{4}), (\d{2}:\d{2}:\d{2})$/.exec(String(text || '').trim());
+  if (!match) {
+    return null;
+  }
+  const [, day, month, year, time] = match;
+  return Date.parse(`${year}-${month}-${day}T${time}+05:30`);
+}
 
 /**
  * Initialize Google Sheets API client
@@ -23,7 +113,7 @@ function initializeSheetsClient() {
 
     // Railway deployment: credentials stored as JSON string in environment variable
     if (process.env.GOOGLE_CREDENTIALS) {
-      console.log('📋 Using Google credentials from GOOGLE_CREDENTIALS environment variable');
+      logger.info('📋 Using Google credentials from GOOGLE_CREDENTIALS environment variable');
       auth = new google.auth.GoogleAuth({
         credentials: JSON.parse(process.env.GOOGLE_CREDENTIALS),
         scopes: ['https://www.googleapis.com/auth/spreadsheets'],
@@ -31,7 +121,7 @@ function initializeSheetsClient() {
     }
     // Local development: use credentials.json file
     else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
-      console.log('📋 Using Google credentials from file:', process.env.GOOGLE_APPLICATION_CREDENTIALS);
+      logger.info('📋 Using Google credentials from file', { path: process.env.GOOGLE_APPLICATION_CREDENTIALS });
       const credentialsPath = path.resolve(process.env.GOOGLE_APPLICATION_CREDENTIALS);
 
       auth = new google.auth.GoogleAuth({
@@ -43,58 +133,177 @@ function initializeSheetsClient() {
       throw new Error('No Google credentials found. Set GOOGLE_CREDENTIALS or GOOGLE_APPLICATION_CREDENTIALS environment variable');
     }
 
+    sheetsAuth = auth;
     sheetsClient = google.sheets({ version: 'v4', auth });
-    console.log('✅ Google Sheets API client initialized');
+    logger.info('✅ Google Sheets API client initialized');
     return sheetsClient;
   } catch (error) {
-    console.error('❌ Failed to initialize Google Sheets client:', error.message);
+    logger.error('❌ Failed to initialize Google Sheets client', { error });
     throw error;
   }
 }
 
 /**
- * Append a row of data to the Google Sheet
+ * Check that the Google credentials can get an access token
+ * The auth library caches tokens, so this only calls Google when the token needs refreshing
+ *
+ * @returns {Promise<boolean>} True if Sheets requests can be authorized
+ */
+async function checkSheetsAuth() {
+  try {
+    initializeSheetsClient();
+    await sheetsAuth.getAccessToken();
+    return true;
+  } catch (error) {
+    logger.warn('⚠️  Google Sheets auth check failed', { error });
+    return false;
+  }
+}
+
+/**
+ * Read the sheet's header row and add any missing columns after the existing ones
+ * Existing columns keep their position (renamed ones get their current name), so
+ * rows already in the sheet stay under the right headers
+ *
+ * @param {Object} sheets - Sheets API client
+ * @returns {Promise<string[]>} Headers in sheet order
+ */
+async function loadSheetColumns(sheets) {
+  const spreadsheetId = process.env.SPREADSHEET_ID;
+
+  const current = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${SHEET_NAME}!1:1`
+  });
+  const currentHeaders = (current.data.values && current.data.values[0]) || [];
+
+  const columns = currentHeaders.map(header => RENAMED_HEADERS[header] || header);
+  const renamed = currentHeaders.filter(header => RENAMED_HEADERS[header]);
+  const added = HEADERS.filter(header => !columns.includes(header));
+  columns.push(...added);
+
+  if (columns.join('|') !== currentHeaders.join('|')) {
+    await sheets.spreadsheets.values.update({
+      spreadsheetId,
+      range: `${SHEET_NAME}!A1:${columnLetter(columns.length)}1`,
+      valueInputOption: 'USER_ENTERED',
+      resource: {
+        values: [columns]
+      }
+    });
+    logger.info('✅ Sheet headers updated', { added, renamed });
+  }
+
+  sheetColumns = columns;
+  return columns;
+}
+
+/**
+ * Find the sheet row for a learner by Discord user ID, falling back to email
  *
- * @param {Object} data - User data to append
- * @param {string} data.name - Full name
- * @param {string} data.email - Email address
- * @param {string} data.phone - Phone number
+ * @param {Object} sheets - Sheets API client
+ * @param {string[]} columns - Headers in sheet order
+ * @param {string} discordUserId - Discord user ID
+ * @param {string} email - Email address
+ * @returns {Promise<{ rowNumber: number, firstOnboarded: string }|null>} Existing row, if any
+ */
+async function findExistingRow(sheets, columns, discordUserId, email) {
+  const column = header => {
+    const letter = columnLetter(columns.indexOf(header) + 1);
+    return `${SHEET_NAME}!${letter}:${letter}`;
+  };
+
+  const response = await sheets.spreadsheets.values.batchGet({
+    spreadsheetId: process.env.SPREADSHEET_ID,
+    ranges: [FIRST_ONBOARDED_HEADER, USER_ID_HEADER, EMAIL_HEADER].filter(Boolean).map(column)
+  });
+
+  // No email column when the flow doesn't ask for an email
+  const [firstOnboarded, userIds, emails = []] = response.data.valueRanges.map(range => range.values || []);
+  const cell = (values, row) => (values[row] && values[row][0]) || '';
+  const normalizedEmail = (email || '').toLowerCase().trim();
+  const rowCount = Math.max(userIds.length, emails.length);
+
+  // Row 0 is the header row
+  let match = -1;
+  for (let row = 1; row < rowCount && match === -1; row++) {
+    if (discordUserId && cell(userIds, row) === discordUserId) match = row;
+  }
+  for (let row = 1; row < rowCount && match === -1; row++) {
+    if (normalizedEmail && cell(emails, row).toLowerCase().trim() === normalizedEmail) match = row;
+  }
+
+  return match === -1 ? null : { rowNumber: match + 1, firstOnboarded: cell(firstOnboarded, match) };
+}
+
+/**
+ * Write a learner's row to the Google Sheet
+ * Updates the existing row for the same Discord user ID or email in place,
+ * otherwise appends a new row
+ *
+ * @param {Object} data - User data to write
+ * @param {Object} data.answers - Onboarding answers keyed by question key
+ * @param {string} data.discordUserId - Discord user ID
  * @param {string} data.discordUsername - Discord username (e.g., "username#1234")
- * @param {string} data.channel - Channel/course name
+ * @param {string} data.course - Course name (mapped from the invite, or the invite's channel)
+ * @param {string} data.matchReason - How the learner was verified (e.g., "email+phone")
+ * @param {string} [data.program] - Program from the roster
+ * @param {string} [data.batch] - Batch from the roster
+ * @param {string} [data.status] - active, departed (left the server) or revoked (dropped off the roster)
+ * @param {number} [data.onboardedAt] - When onboarding finished (ms); defaults to now
  * @returns {Promise<boolean>} Success status
  */
-async function appendToSheet(data) {
+async function upsertToSheet(data) {
+  const log = logger.child({ userId: data.discordUserId });
+
   try {
     const sheets = initializeSheetsClient();
     const spreadsheetId = process.env.SPREADSHEET_ID;
 
-    // Prepare row data with IST timestamp (Asia/Kolkata)
-    const now = new Date();
-    const timestamp = now.toLocaleString('en-IN', {
-      timeZone: 'Asia/Kolkata',
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit',
-      hour12: false
-    });
-    const values = [
-      [
-        timestamp,
-        data.name,
-        data.email,
-        data.phone,
-        data.discordUsername,
-        data.channel
-      ]
-    ];
+    const columns = sheetColumns || await loadSheetColumns(sheets);
+    const lastColumn = columnLetter(columns.length);
+
+    const timestamp = formatTimestamp(data.onboardedAt || Date.now());
+    const existingRow = await findExistingRow(sheets, columns, data.discordUserId, data.answers.email);
+
+    const cells = {
+      'First Onboarded': existingRow && existingRow.firstOnboarded ? existingRow.firstOnboarded : timestamp,
+      'Last Onboarded': timestamp,
+      'Discord User ID': data.discordUserId,
+      'Discord Username': data.discordUsername,
+      // Records queued before courses were mapped carry the channel name instead
+      Course: data.course || data.channel,
+      'Match Reason': data.matchReason,
+      Program: data.program || '',
+      Batch: data.batch || '',
+      Status: data.status || 'active'
+    };
+    for (const key of QUESTION_ORDER) {
+      cells[QUESTIONS[key].column] = data.answers[key] || '';
+    }
+
+    // Columns the bot doesn't write (e.g., added by hand) are null, which Sheets leaves untouched
+    const values = [columns.map(header => (header in cells ? cells[header] : null))];
+
+    if (existingRow) {
+      // Update the learner's existing row in place
+      const response = await sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `${SHEET_NAME}!A${existingRow.rowNumber}:${lastColumn}${existingRow.rowNumber}`,
+        valueInputOption: 'USER_ENTERED',
+        resource: {
+          values
+        }
+      });
+
+      log.info('✅ Existing Google Sheet row updated successfully', { range: response.data.updatedRange });
+      return true;
+    }
 
     // Append to sheet
     const response = await sheets.spreadsheets.values.append({
       spreadsheetId,
-      range: 'Sheet1!A:F', // Adjust sheet name if needed
+      range: `${SHEET_NAME}!A:${lastColumn}`,
       valueInputOption: 'USER_ENTERED',
       insertDataOption: 'INSERT_ROWS',
       resource: {
@@ -102,52 +311,84 @@ async function appendToSheet(data) {
       }
     });
 
-    console.log('✅ Data appended to Google Sheet successfully');
-    console.log(`   📊 Updated range: ${response.data.updates.updatedRange}`);
+    log.info('✅ Data appended to Google Sheet successfully', { range: response.data.updates.updatedRange });
     return true;
   } catch (error) {
-    console.error('❌ Error appending to Google Sheet:', error.message);
-
-    // Log more details for common errors
+    // Add a hint for common errors
+    let hint;
     if (error.code === 404) {
-      console.error('   💡 Spreadsheet not found. Check your SPREADSHEET_ID in .env');
+      hint = 'Spreadsheet not found. Check your SPREADSHEET_ID in .env';
     } else if (error.code === 403) {
-      console.error('   💡 Permission denied. Ensure the service account has edit access to the sheet');
+      hint = 'Permission denied. Ensure the service account has edit access to the sheet';
     }
 
+    log.error('❌ Error writing to Google Sheet', { error, hint });
+
     throw error;
   }
 }
 
+/**
+ * Read every learner row back from the sheet as onboarding records
+ * Used to match Learner role holders who were onboarded before the learner registry existed
+ *
+ * @returns {Promise<Object[]>} Records in the shape upsertToSheet writes
+ */
+async function readSheetRecords() {
+  const sheets = initializeSheetsClient();
+  const columns = sheetColumns || await loadSheetColumns(sheets);
+
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId: process.env.SPREADSHEET_ID,
+    range: `${SHEET_NAME}!A2:${columnLetter(columns.length)}`
+  });
+
+  return (response.data.values || []).map(row => {
+    const cell = header => {
+      const index = columns.indexOf(header);
+      return index === -1 ? '' : String(row[index] || '').trim();
+    };
+
+    const answers = {};
+    for (const key of QUESTION_ORDER) {
+      answers[key] = cell(QUESTIONS[key].column);
+    }
+
+    return {
+      answers,
+      discordUserId: cell(USER_ID_HEADER),
+      discordUsername: cell('Discord Username'),
+      course: cell('Course'),
+      program: cell('Program'),
+      batch: cell('Batch'),
+      matchReason: cell('Match Reason'),
+      status: cell('Status') || 'active',
+      onboardedAt: parseTimestamp(cell('Last Onboarded') || cell(FIRST_ONBOARDED_HEADER)) || undefined
+    };
+  });
+}
+
 /**
  * Initialize sheet with headers if needed
- * Call this manually or on first run to set up the sheet
+ * Runs on startup so every column the bot writes has a header; new columns
+ * are added after the existing ones and data rows are never moved
  */
 async function initializeSheetHeaders() {
   try {
     const sheets = initializeSheetsClient();
-    const spreadsheetId = process.env.SPREADSHEET_ID;
-
-    const headers = [['Timestamp', 'Name', 'Email', 'Phone', 'Discord Username', 'Channel']];
-
-    await sheets.spreadsheets.values.update({
-      spreadsheetId,
-      range: 'Sheet1!A1:F1',
-      valueInputOption: 'USER_ENTERED',
-      resource: {
-        values: headers
-      }
-    });
+    const columns = await loadSheetColumns(sheets);
 
-    console.log('✅ Sheet headers initialized');
+    logger.info('✅ Sheet headers are up to date', { columns: columns.length });
     return true;
   } catch (error) {
-    console.error('❌ Error initializing headers:', error.message);
+    logger.error('❌ Error initializing headers', { error });
     throw error;
   }
 }
 
 module.exports = {
-  appendToSheet,
-  initializeSheetHeaders
+  upsertToSheet,
+  readSheetRecords,
+  initializeSheetHeaders,
+  checkSheetsAuth
 };
@@ -0,0 +1,172 @@
+/**
+ * CSV Record Sink
+ *
+ * Keeps onboarding records in a local CSV file for reporting, one row per
+ * learner like the Google Sheet: status updates and re-onboarding replace
+ * the learner's row instead of adding another
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('../storage');
+const { QUESTIONS, QUESTION_ORDER } = require('../questions');
+const { parseCsv } = require('../roster');
+const { logger } = require('../logger');
+
+/**
+ * Columns for a new file. Columns added later are appended to existing files,
+ * so rows written by older versions keep their columns.
+ */
+const HEADERS = [
+  'Onboarded At',
+  ...QUESTION_ORDER.map(key => QUESTIONS[key].column),
+  'Discord User ID',
+  'Discord Username',
+  'Course',
+  'Match Reason',
+  'Program',
+  'Batch',
+  'Status'
+];
+
+// Old header name -> current name, for columns that were renamed without changing their data
+const RENAMED_HEADERS = {
+  Channel: 'Course'
+};
+
+const EMAIL_HEADER = QUESTIONS.email ? QUESTIONS.email.column : null;
+
+/**
+ * Quote a value for CSV when it contains commas, quotes or line breaks
+ *
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function escapeCsv(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Read the file's columns and rows, renaming old headers and adding missing columns at the end
+ *
+ * @param {string} filePath - CSV file
+ * @returns {Promise<{ columns: string[], rows: string[][], changed: boolean }>} File contents
+ */
+async function readRecords(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { columns: [...HEADERS], rows: [], changed: true };
+  }
+
+  const [header = [], ...rows] = parseCsv(await fs.promises.readFile(filePath, 'utf8'));
+  const columns = header.map(name => RENAMED_HEADERS[name] || name);
+  columns.push(...HEADERS.filter(name => !columns.includes(name)));
+
+  return { columns, rows, changed: columns.join('|') !== header.join('|') };
+}
+
+/**
+ * Replace the file with the given columns and rows
+ * Writes to a temporary file first so a crash never leaves a half-written file
+ *
+ * @param {string} filePath - CSV file
+ * @param {string[]} columns - Header row
+ * @param {string[][]} rows - Data rows
+ */
+async function writeRecords(filePath, columns, rows) {
+  const lines = [columns, ...rows].map(row => columns.map((_, index) => escapeCsv(row[index])).join(','));
+  const tempPath = `${filePath}.tmp`;
+
+  await fs.promises.writeFile(tempPath, lines.join('\n') + '\n');
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * @returns {RecordSink} CSV sink
+ */
+function createCsvSink() {
+  const filePath = path.resolve(process.env.RECORD_CSV_PATH || dataPath('onboarding-records.csv'));
+
+  return {
+    name: 'csv',
+
+    async init() {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      // Bring the header of a file written by an older version up to date
+      const { columns, rows, changed } = await readRecords(filePath);
+      if (changed) {
+        await writeRecords(filePath, columns, rows);
+        logger.info('✅ CSV records file header updated', { path: filePath });
+      }
+      logger.info('✅ CSV records file ready', { path: filePath });
+    },
+
+    async write(record) {
+      const { columns, rows } = await readRecords(filePath);
+
+      const cells = {
+        'Onboarded At': new Date(record.onboardedAt || Date.now()).toISOString(),
+        'Discord User ID': record.discordUserId,
+        'Discord Username': record.discordUsername,
+        Course: record.course || record.channel,
+        'Match Reason': record.matchReason,
+        Program: record.program || '',
+        Batch: record.batch || '',
+        Status: record.status || 'active'
+      };
+      for (const key of QUESTION_ORDER) {
+        cells[QUESTIONS[key].column] = record.answers[key] || '';
+      }
+
+      // Find the learner's row by Discord user ID, falling back to email
+      const column = name => columns.indexOf(name);
+      const email = String(record.answers.email || '').toLowerCase().trim();
+      let index = record.discordUserId
+        ? rows.findIndex(row => row[column('Discord User ID')] === record.discordUserId)
+        : -1;
+      if (index === -1 && email && EMAIL_HEADER) {
+        index = rows.findIndex(row => String(row[column(EMAIL_HEADER)] || '').toLowerCase().trim() === email);
+      }
+
+      // Columns the bot doesn't write keep their values
+      const existing = index === -1 ? [] : rows[index];
+      const row = columns.map((name, position) => (name in cells ? cells[name] : existing[position]));
+
+      if (index === -1) {
+        rows.push(row);
+      } else {
+        rows[index] = row;
+      }
+
+      await writeRecords(filePath, columns, rows);
+      logger.info(`✅ Record ${index === -1 ? 'added to' : 'updated in'} ${path.basename(filePath)}`, { userId: record.discordUserId });
+    },
+
+    async readAll() {
+      const { columns, rows } = await readRecords(filePath);
+      const cell = (row, name) => String(row[columns.indexOf(name)] || '').trim();
+
+      return rows.map(row => {
+        const answers = {};
+        for (const key of QUESTION_ORDER) {
+          answers[key] = cell(row, QUESTIONS[key].column);
+        }
+
+        return {
+          answers,
+          discordUserId: cell(row, 'Discord User ID'),
+          discordUsername: cell(row, 'Discord Username'),
+          course: cell(row, 'Course'),
+          program: cell(row, 'Program'),
+          batch: cell(row, 'Batch'),
+          matchReason: cell(row, 'Match Reason'),
+          status: cell(row, 'Status') || 'active',
+          onboardedAt: Date.parse(cell(row, 'Onboarded At')) || undefined
+        };
+      });
+    }
+  };
+}
+
+module.exports = { createCsvSink };
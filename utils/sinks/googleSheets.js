@@ -0,0 +1,23 @@
+/**
+ * Google Sheets Record Sink
+ *
+ * Writes onboarding records to Google Sheets, one row per learner
+ */
+
+const { upsertToSheet, readSheetRecords, initializeSheetHeaders } = require('../sheets');
+const { timeSheetWrite } = require('../metrics');
+
+/**
+ * @returns {RecordSink} Google Sheets sink
+ */
+function createGoogleSheetsSink() {
+  return {
+    name: 'sheets',
+    init: () => initializeSheetHeaders(),
+    // Timed for the sheet write latency and error metrics
+    write: record => timeSheetWrite(() => upsertToSheet(record)),
+    readAll: () => readSheetRecords()
+  };
+}
+
+module.exports = { createGoogleSheetsSink };
@@ -0,0 +1,56 @@
+/**
+ * Record Sinks
+ *
+ * Destinations for completed onboarding records. Each sink implements:
+ *
+ * @typedef {Object} RecordSink
+ * @property {string} name - Unique sink name, stored with queued records
+ * @property {() => Promise<void>} [init] - Optional setup run on startup (e.g., headers)
+ * @property {(record: Object) => Promise<void>} write - Write one record; throw to retry.
+ *   Errors with an HTTP status in `error.code` are only retried for 429 and 5xx.
+ * @property {() => Promise<Object[]>} [readAll] - Optional: read back every stored record,
+ *   used to match learners onboarded before the learner registry existed
+ *
+ * Sinks are chosen with RECORD_SINKS, a comma-separated list (default "sheets").
+ */
+
+const { createGoogleSheetsSink } = require('./googleSheets');
+const { createCsvSink } = require('./csv');
+const { createWebhookSink } = require('./webhook');
+
+const SINK_FACTORIES = {
+  sheets: createGoogleSheetsSink,
+  csv: createCsvSink,
+  webhook: createWebhookSink
+};
+
+/**
+ * @returns {string[]} Sink names selected in the environment
+ */
+function getConfiguredSinkNames() {
+  return (process.env.RECORD_SINKS || 'sheets')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Create the sinks selected in the environment
+ *
+ * @returns {RecordSink[]} Configured sinks
+ * @throws {Error} If an unknown sink is selected
+ */
+function createSinks() {
+  return getConfiguredSinkNames().map(name => {
+    const factory = SINK_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown record sink "${name}". Available: ${Object.keys(SINK_FACTORIES).join(', ')}`);
+    }
+    return factory();
+  });
+}
+
+module.exports = {
+  createSinks,
+  getConfiguredSinkNames
+};
@@ -0,0 +1,56 @@
+/**
+ * Webhook Record Sink
+ *
+ * POSTs onboarding records as JSON to an HTTP endpoint
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../logger');
+
+// Give up on a request after this long (it will be retried by the outbox)
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * @returns {RecordSink} Webhook sink
+ */
+function createWebhookSink() {
+  const url = process.env.RECORD_WEBHOOK_URL;
+  const secret = process.env.RECORD_WEBHOOK_SECRET;
+
+  if (!url) {
+    throw new Error('RECORD_WEBHOOK_URL is required for the webhook sink');
+  }
+
+  return {
+    name: 'webhook',
+
+    async write(record) {
+      // Status updates for existing learners (departed, revoked) get their own event
+      const event = record.status && record.status !== 'active' ? `learner.${record.status}` : 'onboarding.completed';
+      const body = JSON.stringify({ event, record });
+      const headers = { 'Content-Type': 'application/json' };
+
+      // Let the receiver check the request came from us
+      if (secret) {
+        headers['X-Signature-256'] = 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+      }
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        const error = new Error(`Webhook responded with ${response.status} ${response.statusText}`);
+        error.code = response.status;
+        throw error;
+      }
+
+      logger.info(`✅ Record sent to webhook (${response.status})`, { userId: record.discordUserId });
+    }
+  };
+}
+
+module.exports = { createWebhookSink };
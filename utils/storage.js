@@ -0,0 +1,61 @@
+/**
+ * Local Storage Helpers
+ *
+ * Small JSON-file persistence used for bot state that must survive restarts
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Directory holding the bot's local state files
+ */
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+
+/**
+ * Resolve a file name inside the data directory
+ *
+ * @param {string} fileName - File name (e.g., "sessions.json")
+ * @returns {string} Absolute path
+ */
+function dataPath(fileName) {
+  return path.join(DATA_DIR, fileName);
+}
+
+/**
+ * Read and parse a JSON file
+ *
+ * @param {string} filePath - Path to the JSON file
+ * @param {*} fallback - Value returned when the file does not exist
+ * @returns {*} Parsed content or the fallback
+ */
+function readJsonFile(filePath, fallback) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+
+  const fileContent = fs.readFileSync(filePath, 'utf8');
+  return fileContent.trim() ? JSON.parse(fileContent) : fallback;
+}
+
+/**
+ * Write a value as JSON, replacing the file atomically
+ * Writes to a temporary file first so a crash never leaves a half-written file
+ *
+ * @param {string} filePath - Path to the JSON file
+ * @param {*} data - Value to serialize
+ */
+function writeJsonFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  readJsonFile,
+  writeJsonFile
+};
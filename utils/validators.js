@@ -43,6 +43,54 @@ function isValidName(name) {
   return trimmed.length >= 2 && /[a-zA-Z]/.test(trimmed);
 }
 
+/**
+ * Validate a whole number within an optional range
+ *
+ * @param {string} value - Number to validate
+ * @param {number} [min] - Smallest accepted value
+ * @param {number} [max] - Largest accepted value
+ * @returns {boolean} True if valid
+ */
+function isValidNumber(value, min, max) {
+  const trimmed = value.trim();
+  if (!/^-?\d+$/.test(trimmed)) {
+    return false;
+  }
+
+  const number = Number(trimmed);
+  return (min === undefined || number >= min) && (max === undefined || number <= max);
+}
+
+/**
+ * Validate input against a regular expression
+ *
+ * @param {string} value - Input to validate
+ * @param {string} pattern - Regular expression source
+ * @param {string} [flags] - Regular expression flags
+ * @returns {boolean} True if valid
+ */
+function matchesPattern(value, pattern, flags = '') {
+  return new RegExp(pattern, flags).test(value.trim());
+}
+
+/**
+ * Resolve a multiple-choice answer to one of the allowed options
+ * Accepts either the option's number (1-based) or its text (case-insensitive)
+ *
+ * @param {string} value - User's answer
+ * @param {string[]} choices - Allowed options
+ * @returns {string|null} The matching option, or null if none matches
+ */
+function resolveChoice(value, choices) {
+  const trimmed = value.trim();
+
+  if (/^\d+$/.test(trimmed)) {
+    return choices[Number(trimmed) - 1] || null;
+  }
+
+  return choices.find(choice => choice.toLowerCase() === trimmed.toLowerCase()) || null;
+}
+
 /**
  * Sanitize input to prevent injection attacks
  *
@@ -57,5 +105,8 @@ module.exports = {
   isValidEmail,
   isValidPhone,
   isValidName,
+  isValidNumber,
+  matchesPattern,
+  resolveChoice,
   sanitizeInput
 };